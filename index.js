@@ -1,46 +1,253 @@
 #!/usr/bin/env node
 
-import { loadConfig } from "./lib/config.js";
-import fs from "fs"; // Required for file existence checks
+import fs from "fs";
 import path from "path";
 import chalk from "chalk";
 import { hideBin } from "yargs/helpers";
 import yargs from "yargs";
 
-// Parsers
-import { parseOpenAPI } from "./lib/parsers/openapi.js";
-import { parsePostman, normalizePostman } from "./lib/parsers/postman.js";
-import { parseHAR, normalizeHAR } from "./lib/parsers/har.js";
-import { scanLiveURL, normalizeProbedResults } from "./lib/parsers/live.js";
-
-// Normalizers & Scanners
-import { normalizeSpec, scanSpec } from "./lib/normalizer.js";
+// Programmatic API — the CLI is a thin layer that prints its results
+import {
+  scan,
+  diff,
+  verify,
+  toJSONReport,
+  toSarif,
+  generateDiffJSONReport,
+  createBaseline,
+  consoleLogger,
+  stderrLogger,
+} from "./lib/api.js";
+import { severityRank } from "./lib/rules.js";
 
 // Reporters
 import { generateThreatModel } from "./lib/reporters/threatModel.js";
 
+const DEFAULT_BASELINE_PATH = "apishield-baseline.json";
+
+/**
+ * Write a machine-readable report to a file, or stdout when no path is given
+ */
+function writeReport(content, outputPath) {
+  if (outputPath) {
+    fs.writeFileSync(path.resolve(outputPath), content + "\n");
+    console.error(chalk.green(`📝 Report written to ${outputPath}`));
+  } else {
+    process.stdout.write(content + "\n");
+  }
+}
+
+/**
+ * Print a `scan()` or `verify()` result in the chosen --format and set the exit code
+ */
+function printResult(
+  result,
+  argv,
+  { passMessage = "✅ No high-risk issues found!" } = {}
+) {
+  const { issues, failed } = result;
+  const activeIssues = issues.filter((issue) => !issue.suppressed);
+  const suppressedIssues = issues.filter((issue) => issue.suppressed);
+
+  if (argv.format === "json") {
+    const report = toJSONReport(result, { threatModel: argv.threatModel });
+    writeReport(JSON.stringify(report, null, 2), argv.output);
+  } else if (argv.format === "sarif") {
+    writeReport(JSON.stringify(toSarif(result), null, 2), argv.output);
+  } else if (argv.threatModel) {
+    // Generate STRIDE-based threat model report
+    generateThreatModel(activeIssues);
+  } else {
+    // 📚 Several specs behind one URL: say which one each issue is in
+    if (result.specs) {
+      console.log(chalk.gray(`📚 Scanned ${result.specs.length} specs:`));
+      result.specs.forEach((spec) =>
+        console.log(chalk.gray(`  • ${spec.source} (${spec.format})`))
+      );
+      console.log();
+    }
+
+    // Standard issue reporting
+    if (activeIssues.length === 0) {
+      console.log(chalk.green(passMessage));
+    } else {
+      console.log(
+        chalk.red(`⚠️  Found ${activeIssues.length} security issue(s):\n`)
+      );
+      activeIssues.forEach((issue) => {
+        const color = issue.level === "warn" ? chalk.yellow : chalk.red;
+        console.log(
+          color(`• [${issue.severity}] ${issue.message}`) +
+            chalk.gray(` (${issue.ruleId})`)
+        );
+        console.log(chalk.gray(`  → ${issue.detail}`));
+        if (issue.spec) {
+          console.log(chalk.gray(`  📄 ${issue.spec}`));
+        }
+        console.log(chalk.yellow(`  💡 ${issue.fix}\n`));
+      });
+    }
+  }
+
+  if (argv.format === "text" && suppressedIssues.length > 0) {
+    console.log(
+      chalk.gray(`🙈 ${suppressedIssues.length} suppressed issue(s):`)
+    );
+    suppressedIssues.forEach((issue) => {
+      console.log(
+        chalk.gray(
+          `  • ${issue.message} (${issue.ruleId}) — ${issue.suppressed.kind}: ${issue.suppressed.justification}`
+        )
+      );
+      if (argv.verbose) {
+        console.log(chalk.gray(`    → ${issue.detail}`));
+      }
+    });
+    console.log();
+  }
+
+  // Exit with error code only if an error-level issue meets --fail-on
+  if (failed) {
+    process.exitCode = 1;
+  }
+}
+
+// A JSON or SARIF report on stdout must stay parseable
+function writesReportToStdout(argv) {
+  return argv.format !== "text" && !argv.output;
+}
+
+// Status output goes to stderr when stdout carries a report; debug lines
+// (discovery attempts, per-operation statuses) only with --verbose
+function getLogger(argv) {
+  const logger = writesReportToStdout(argv) ? stderrLogger : consoleLogger;
+  return argv.verbose ? logger : { ...logger, debug: () => {} };
+}
+
+// Status lines the CLI prints around a report (counts, confirmations)
+function printStatus(argv, message = "") {
+  if (writesReportToStdout(argv)) {
+    console.error(message);
+  } else {
+    console.log(message);
+  }
+}
+
 /**
- * Detects input type with URL priority
+ * Live probe overrides from --header, --cookie, --wordlist, --concurrency, --rps and --max-requests
  */
-function detectInputType(input) {
-  // URLs always take precedence
-  if (input.startsWith("http://") || input.startsWith("https://")) {
-    return "url";
+function getProbeOptions(argv) {
+  const probe = {};
+  if (argv.header) {
+    probe.headers = Object.fromEntries(
+      argv.header.map((header) => {
+        const separator = header.indexOf(":");
+        if (separator < 1) {
+          throw new Error(
+            `Invalid --header "${header}", expected "Name: value"`
+          );
+        }
+        return [
+          header.slice(0, separator).trim(),
+          header.slice(separator + 1).trim(),
+        ];
+      })
+    );
   }
+  if (argv.cookie) {
+    probe.cookies = Object.fromEntries(
+      argv.cookie.flatMap((cookie) =>
+        cookie.split(";").flatMap((pair) => {
+          const separator = pair.indexOf("=");
+          return separator > 0
+            ? [
+                [
+                  pair.slice(0, separator).trim(),
+                  pair.slice(separator + 1).trim(),
+                ],
+              ]
+            : [];
+        })
+      )
+    );
+  }
+  if (argv.wordlist) probe.wordlist = argv.wordlist;
+  if (argv.concurrency) probe.concurrency = argv.concurrency;
+  if (argv.rps) probe.requestsPerSecond = argv.rps;
+  if (argv.maxRequests) probe.maxRequests = argv.maxRequests;
+  return probe;
+}
+
+/**
+ * `apishield diff <old> <new>`: report security regressions between two versions
+ */
+async function runDiff(argv) {
+  try {
+    if (argv.format === "sarif") {
+      throw new Error("diff supports --format text or json");
+    }
+
+    const result = await diff(argv.old, argv.new, {
+      compliance: argv.compliance,
+      failOn: argv.failOn,
+      postmanEnv: argv.postmanEnv,
+      probe: getProbeOptions(argv),
+      logger: getLogger(argv),
+    });
+    const { changes } = result;
+
+    if (argv.format === "json") {
+      writeReport(
+        JSON.stringify(generateDiffJSONReport(result), null, 2),
+        argv.output
+      );
+    } else if (changes.length === 0) {
+      console.log(chalk.green("✅ No security regressions found!"));
+    } else {
+      console.log(
+        chalk.red(`⚠️  Found ${changes.length} security regression(s):\n`)
+      );
+      changes.forEach((change) => {
+        const color =
+          severityRank(change.severity) >= severityRank("high")
+            ? chalk.red
+            : chalk.yellow;
+        console.log(
+          color(`• [${change.severity}] ${change.message}`) +
+            chalk.gray(` (${change.type})`)
+        );
+        console.log(chalk.gray(`  → ${change.detail}\n`));
+      });
+    }
 
-  const lower = input.toLowerCase();
-  if (lower.endsWith(".postman_collection.json")) return "postman";
-  if (lower.endsWith(".har")) return "har";
-  if (lower.endsWith(".json")) return "json";
-  if (lower.endsWith(".yaml") || lower.endsWith(".yml")) return "yaml";
-  return "unknown";
+    // exitCode (not exit) so piped reports are fully flushed
+    if (result.failed) {
+      process.exitCode = 1;
+    }
+  } catch (e) {
+    console.error(chalk.red("❌ Error:"), e.message);
+    if (argv.verbose) {
+      console.error(chalk.gray(e.stack));
+    }
+    process.exit(1);
+  }
 }
 
 async function main() {
   const argv = await yargs(hideBin(process.argv))
     .command(
       "scan [file]",
-      "Scan API spec, Postman collection, HAR file, or URL for security issues",
+      "Scan API spec, collection, HAR file, GraphQL schema or URL for security issues",
+      (yargs) => {
+        yargs.positional("file", {
+          describe: "Path to spec file or URL",
+          type: "string",
+        });
+      }
+    )
+    .command(
+      "baseline [file]",
+      "Record current findings in a baseline file so only new ones fail later scans",
       (yargs) => {
         yargs.positional("file", {
           describe: "Path to spec file or URL",
@@ -48,6 +255,31 @@ async function main() {
         });
       }
     )
+    .command(
+      "verify [file]",
+      "Call a running server and check it enforces the auth the spec declares",
+      (yargs) => {
+        yargs.positional("file", {
+          describe: "Path to spec file or URL",
+          type: "string",
+        });
+      }
+    )
+    .command(
+      "diff <old> <new>",
+      "Report security regressions between two versions of an API (any supported formats)",
+      (yargs) => {
+        yargs
+          .positional("old", {
+            describe: "Previous spec, collection, HAR file or URL",
+            type: "string",
+          })
+          .positional("new", {
+            describe: "Updated spec, collection, HAR file or URL",
+            type: "string",
+          });
+      }
+    )
     .option("file", {
       alias: "f",
       type: "string",
@@ -76,7 +308,76 @@ async function main() {
       description: "Generate a STRIDE-based threat model report",
       default: false,
     })
+    .option("format", {
+      type: "string",
+      description: "Output format",
+      choices: ["text", "json", "sarif"],
+      default: "text",
+    })
+    .option("output", {
+      alias: "o",
+      type: "string",
+      description: "Write the report to a file instead of stdout",
+    })
+    .option("baseline", {
+      alias: "b",
+      type: "string",
+      description:
+        "Baseline file — recorded findings are reported as suppressed",
+    })
+    .option("postman-env", {
+      type: "string",
+      description:
+        "Postman environment export used to resolve {{variables}} in collections",
+    })
+    .option("base-url", {
+      type: "string",
+      description:
+        "verify: server to call, e.g. http://localhost:3000 (never production)",
+    })
+    .option("allow-mutating", {
+      type: "boolean",
+      description:
+        "verify: also send POST, PUT, PATCH and DELETE (by default only GET, HEAD and OPTIONS)",
+      default: false,
+    })
+    .option("header", {
+      alias: "H",
+      type: "array",
+      string: true,
+      description:
+        'Header sent with live URL probes, e.g. "Authorization: Bearer ..." (repeatable)',
+    })
+    .option("cookie", {
+      type: "array",
+      string: true,
+      description:
+        'Cookie sent with live URL probes, e.g. "session=abc" (repeatable)',
+    })
+    .option("wordlist", {
+      type: "string",
+      description: "File of extra paths to probe on live URLs, one per line",
+    })
+    .option("concurrency", {
+      type: "number",
+      description: "Live probe requests in flight at once (default 4)",
+    })
+    .option("rps", {
+      type: "number",
+      description: "Live probe requests per second (default 5)",
+    })
+    .option("max-requests", {
+      type: "number",
+      description: "Stop live probing after this many requests (default 500)",
+    })
+    .option("fail-on", {
+      type: "string",
+      description:
+        "Minimum severity that fails the scan (warn-level rules never fail)",
+      choices: ["low", "medium", "high", "critical"],
+    })
     .check((argv) => {
+      if (argv._[0] === "diff") return true;
       const inputFile = argv.file || argv.url || argv.file;
       if (!inputFile) {
         throw new Error("Please provide a file path or URL");
@@ -84,6 +385,9 @@ async function main() {
       if (argv.file && argv.url) {
         throw new Error("Use either --file or --url, not both");
       }
+      if (argv._[0] === "verify" && !argv.baseUrl) {
+        throw new Error("verify needs --base-url, e.g. http://localhost:3000");
+      }
       return true;
     })
     .demandCommand(1, "You must provide a command")
@@ -93,103 +397,75 @@ async function main() {
   // Resolve input source
   const input = argv.url || argv.file || argv.file;
 
-  try {
-    const type = detectInputType(input);
-    let normalized;
-
-    switch (type) {
-      case "postman": {
-        const filePath = path.resolve(input);
-        if (!fs.existsSync(filePath)) {
-          console.error(chalk.red(`File not found: ${filePath}`));
-          process.exit(1);
-        }
-        console.log(chalk.blue("📦 Detected Postman Collection"));
-        const collection = parsePostman(filePath);
-        normalized = normalizePostman(collection);
-        break;
-      }
-
-      case "har": {
-        const filePath = path.resolve(input);
-        if (!fs.existsSync(filePath)) {
-          console.error(chalk.red(`File not found: ${filePath}`));
-          process.exit(1);
-        }
-        console.log(chalk.blue("🌐 Detected HAR file"));
-        const harData = parseHAR(filePath);
-        normalized = normalizeHAR(harData);
-        break;
-      }
-
-      case "json":
-      case "yaml": {
-        const filePath = path.resolve(input);
-        if (!fs.existsSync(filePath)) {
-          console.error(chalk.red(`File not found: ${filePath}`));
-          process.exit(1);
-        }
-        console.log(chalk.blue("📄 Detected OpenAPI/Swagger spec"));
-        const spec = parseOpenAPI(filePath);
-        normalized = normalizeSpec(spec);
-        break;
-      }
+  if (argv._[0] === "diff") {
+    return runDiff(argv);
+  }
 
-      case "url": {
-        console.log(chalk.blue(`🌐 Scanning live API: ${input}`));
-        const liveResult = await scanLiveURL(input);
-        if (liveResult.type === "openapi") {
-          normalized = normalizeSpec(liveResult.data);
-        } else {
-          normalized = normalizeProbedResults(liveResult.data);
-        }
-        break;
-      }
+  try {
+    // 📸 `baseline` command: record current findings and stop
+    if (argv._[0] === "baseline") {
+      const result = await scan(input, {
+        compliance: argv.compliance,
+        postmanEnv: argv.postmanEnv,
+        probe: getProbeOptions(argv),
+        logger: getLogger(argv),
+      });
+      const baselinePath = argv.output || DEFAULT_BASELINE_PATH;
+      const baseline = createBaseline(result.issues, { input });
+      fs.writeFileSync(
+        path.resolve(baselinePath),
+        JSON.stringify(baseline, null, 2) + "\n"
+      );
+      console.log(
+        chalk.green(
+          `📸 Recorded ${baseline.findings.length} finding(s) in ${baselinePath}`
+        )
+      );
+      return;
+    }
 
-      default: {
-        console.error(chalk.red(`❌ Unsupported input: ${input}`));
-        console.log(
+    // 🔐 `verify` command: call the server without (valid) credentials
+    if (argv._[0] === "verify") {
+      const result = await verify(input, {
+        baseUrl: argv.baseUrl,
+        allowMutating: argv.allowMutating,
+        compliance: argv.compliance,
+        failOn: argv.failOn,
+        postmanEnv: argv.postmanEnv,
+        probe: getProbeOptions(argv),
+        logger: getLogger(argv),
+      });
+      const count = result.operations.length;
+      printStatus(
+        argv,
+        chalk.gray(
+          `🔐 Verified ${count} operation(s) that require auth against ${result.baseUrl}`
+        )
+      );
+      if (result.objectChecks.length > 0) {
+        printStatus(
+          argv,
           chalk.gray(
-            "Supported: .yaml, .yml, .json, .postman_collection.json, .har, or https:// URLs"
+            `🪪 Requested ${result.objectChecks.length} of user A's object(s) as user B`
           )
         );
-        process.exit(1);
       }
+      printStatus(argv);
+      printResult(result, argv, {
+        passMessage: `✅ Auth enforced on all ${count} operation(s)`,
+      });
+      return;
     }
 
-    const config = loadConfig();
-
-    // Merge CLI compliance option with config
-    if (argv.compliance) {
-      config.compliance = argv.compliance;
-    }
-
-    const issues = scanSpec(normalized, config);
-
-    if (argv.threatModel) {
-      // Generate STRIDE-based threat model report
-      generateThreatModel(issues);
-
-      // Exit with error code if threats found
-      if (issues.length > 0) {
-        process.exit(1);
-      }
-    } else {
-      // Standard issue reporting
-      if (issues.length === 0) {
-        console.log(chalk.green("✅ No high-risk issues found!"));
-      } else {
-        console.log(
-          chalk.red(`⚠️  Found ${issues.length} security issue(s):\n`)
-        );
-        issues.forEach((issue) => {
-          console.log(chalk.red(`• ${issue.message}`));
-          console.log(chalk.gray(`  → ${issue.detail}`));
-          console.log(chalk.yellow(`  💡 ${issue.fix}\n`));
-        });
-        process.exit(1);
-      }
-    }
+    const result = await scan(input, {
+      compliance: argv.compliance,
+      failOn: argv.failOn,
+      baseline: argv.baseline && path.resolve(argv.baseline),
+      postmanEnv: argv.postmanEnv,
+      probe: getProbeOptions(argv),
+      logger: getLogger(argv),
+    });
+    printResult(result, argv);
   } catch (e) {
     console.error(chalk.red("❌ Error:"), e.message);
     if (argv.verbose) {
@@ -0,0 +1,316 @@
+// lib/api.js
+
+// Programmatic API: `import { scan } from "@tonyjnr/apishield"`.
+// Nothing here prints or exits — results are returned and logging goes to `options.logger`.
+import { loadInput, isDocumentString } from "./input.js";
+import { scanSpec } from "./normalizer.js";
+import { diffSpecs } from "./diff.js";
+import { verifySpec } from "./verify.js";
+import { probeObjectAuthorization } from "./bola.js";
+import { loadConfig, resolveConfig, redactConfig } from "./config.js";
+import {
+  RULES,
+  SEVERITIES,
+  severityRank,
+  countBySeverity,
+  shouldFail,
+} from "./rules.js";
+import {
+  createBaseline,
+  loadBaseline,
+  applyBaseline,
+  fingerprintIssue,
+} from "./baseline.js";
+import {
+  createLogger,
+  consoleLogger,
+  stderrLogger,
+  silentLogger,
+} from "./logger.js";
+import {
+  generateJSONReport,
+  generateDiffJSONReport,
+} from "./reporters/json.js";
+import { generateSarif } from "./reporters/sarif.js";
+import { generateThreatModelJSON } from "./reporters/threatModel.js";
+
+// Label for reports: the path/URL, or "<inline>" for objects and raw strings
+function describeInput(input) {
+  return typeof input === "string" && !isDocumentString(input)
+    ? input
+    : "<inline>";
+}
+
+// Config object from options, or config.apishield.json in `cwd`; CLI-style overrides on top
+function resolveOptionsConfig(options, logger) {
+  const config = options.config
+    ? resolveConfig(options.config, logger)
+    : loadConfig(options.cwd, { logger });
+  return {
+    ...config,
+    ...(options.compliance ? { compliance: options.compliance } : {}),
+    ...(options.failOn ? { failOn: options.failOn } : {}),
+    ...(options.probe
+      ? { probe: mergeProbeOptions(config.probe, options.probe) }
+      : {}),
+  };
+}
+
+// Probe overrides win; headers and cookies are merged with the configured ones
+function mergeProbeOptions(configured, overrides) {
+  return {
+    ...configured,
+    ...overrides,
+    headers: { ...configured.headers, ...overrides.headers },
+    cookies: { ...configured.cookies, ...overrides.cookies },
+  };
+}
+
+// Issues from one of several specs name it as `spec`; those in the spec document itself (`file: null`) are located there
+function tagSpec(issue, source) {
+  return {
+    ...issue,
+    spec: source,
+    location: issue.location?.file
+      ? issue.location
+      : { pointer: null, ...issue.location, file: source },
+  };
+}
+
+// diff and verify compare one spec: the first a URL serves
+function firstSpec(loaded, input, logger) {
+  if (loaded.specs) {
+    logger.warn(
+      `⚠️  ${input} serves ${loaded.specs.length} specs; using ${loaded.specs[0].source}`
+    );
+  }
+  return loaded;
+}
+
+/**
+ * Scan an API description and return a structured result.
+ *
+ * @param {string|object} input File path, URL, JSON/YAML string, or parsed spec/HAR/Postman object
+ * @param {object} [options]
+ * @param {object} [options.config] Config object (same shape as config.apishield.json); skips reading the file
+ * @param {string} [options.cwd] Directory to read config.apishield.json from (default: process.cwd())
+ * @param {string} [options.compliance] gdpr | ccpa | hipaa | pci
+ * @param {string} [options.failOn] Minimum severity that sets `failed`
+ * @param {string|object} [options.baseline] Baseline file path or parsed baseline
+ * @param {string|object} [options.postmanEnv] Postman environment file or parsed export for {{variables}}
+ * @param {object} [options.probe] Live URL probe settings over config `probe` (paths, wordlist, concurrency, requestsPerSecond, maxRequests, headers, cookies, ...)
+ * @param {object} [options.logger] `{ debug, info, success, warn, error }` — silent by default
+ * @returns {Promise<object>} `{ input, format, specs?, config, normalized, issues, summary, failed, startedAt, durationMs }`
+ *   (`config` has probe headers/cookies and verify tokens redacted; `specs` lists `{ source, format, normalized }` when a URL served several specs; all are scanned)
+ */
+async function scan(input, options = {}) {
+  const logger = createLogger(options.logger);
+  const startedAt = new Date();
+
+  const config = resolveOptionsConfig(options, logger);
+  const { normalized, format, specs } = await loadInput(input, {
+    logger,
+    postmanEnv: options.postmanEnv,
+    probe: config.probe,
+  });
+
+  // 📚 A URL serving several specs: scan each, locating issues in their own spec
+  let issues = specs
+    ? specs.flatMap((spec) =>
+        scanSpec(spec.normalized, config, { logger }).map((issue) =>
+          tagSpec(issue, spec.source)
+        )
+      )
+    : scanSpec(normalized, config, { logger });
+  if (options.baseline) {
+    const baseline =
+      typeof options.baseline === "string"
+        ? loadBaseline(options.baseline)
+        : options.baseline;
+    issues = applyBaseline(issues, baseline);
+  }
+
+  const active = issues.filter((issue) => !issue.suppressed);
+  const failed = shouldFail(issues, config.failOn);
+
+  return {
+    input: describeInput(input),
+    format,
+    ...(specs ? { specs } : {}),
+    config: redactConfig(config),
+    normalized,
+    issues,
+    summary: {
+      totalIssues: active.length,
+      suppressed: issues.length - active.length,
+      bySeverity: countBySeverity(active),
+      failed,
+    },
+    failed,
+    startedAt,
+    durationMs: Date.now() - startedAt.getTime(),
+  };
+}
+
+/**
+ * Report security regressions between two versions of an API (any input formats).
+ * Accepts the same inputs and options as `scan` (except `baseline`).
+ *
+ * @returns {Promise<object>} `{ old, new, config, changes, summary, failed }`
+ */
+async function diff(oldInput, newInput, options = {}) {
+  const logger = createLogger(options.logger);
+
+  const config = resolveOptionsConfig(options, logger);
+  const loadOptions = {
+    logger,
+    postmanEnv: options.postmanEnv,
+    probe: config.probe,
+  };
+  const before = firstSpec(
+    await loadInput(oldInput, loadOptions),
+    oldInput,
+    logger
+  );
+  const after = firstSpec(
+    await loadInput(newInput, loadOptions),
+    newInput,
+    logger
+  );
+
+  const changes = diffSpecs(before.normalized, after.normalized, config);
+  const failed = changes.some(
+    (change) => severityRank(change.severity) >= severityRank(config.failOn)
+  );
+
+  return {
+    old: { input: describeInput(oldInput), format: before.format },
+    new: { input: describeInput(newInput), format: after.format },
+    config: redactConfig(config),
+    changes,
+    summary: {
+      totalChanges: changes.length,
+      bySeverity: countBySeverity(changes),
+      failed,
+    },
+    failed,
+  };
+}
+
+/**
+ * Check that a running server enforces the auth its spec declares. Every
+ * operation that requires auth is called on `options.baseUrl` without
+ * credentials, with malformed ones and, when `config.verify.lowPrivilegeToken`
+ * is set, with a low-privilege token; 2xx responses are reported. With
+ * `config.verify.userA` and `userB`, A's objects are also requested as B (BOLA).
+ * Accepts the same inputs and options as `scan` (except `baseline`).
+ *
+ * @param {string} options.baseUrl Server to call, e.g. http://localhost:3000
+ * @param {boolean} [options.allowMutating] Also send POST/PUT/PATCH/DELETE (by default only GET, HEAD and OPTIONS are called)
+ * @returns {Promise<object>} `{ input, format, baseUrl, config, normalized, operations, objectChecks, issues, summary, failed, startedAt, durationMs }`
+ */
+async function verify(input, options = {}) {
+  const logger = createLogger(options.logger);
+  const startedAt = new Date();
+
+  if (!options.baseUrl || !/^https?:\/\//i.test(options.baseUrl)) {
+    throw new Error(
+      "verify needs an http(s) baseUrl, e.g. http://localhost:3000"
+    );
+  }
+
+  const config = resolveOptionsConfig(options, logger);
+  const { normalized, format } = firstSpec(
+    await loadInput(input, {
+      logger,
+      postmanEnv: options.postmanEnv,
+      probe: config.probe,
+    }),
+    input,
+    logger
+  );
+
+  const verified = await verifySpec(normalized, {
+    baseUrl: options.baseUrl,
+    config,
+    allowMutating: options.allowMutating,
+    logger,
+  });
+  const { operations } = verified;
+
+  // 🪪 BOLA checks need two identities
+  let objectChecks = [];
+  let issues = verified.issues;
+  if (config.verify?.userA && config.verify?.userB) {
+    const bola = await probeObjectAuthorization(normalized, {
+      baseUrl: options.baseUrl,
+      config,
+      allowMutating: options.allowMutating,
+      logger,
+    });
+    objectChecks = bola.checks;
+    issues = [...issues, ...bola.issues];
+  }
+
+  const active = issues.filter((issue) => !issue.suppressed);
+  const failed = shouldFail(issues, config.failOn);
+
+  return {
+    input: describeInput(input),
+    format,
+    baseUrl: options.baseUrl,
+    config: redactConfig(config),
+    normalized,
+    operations,
+    objectChecks,
+    issues,
+    summary: {
+      totalIssues: active.length,
+      suppressed: issues.length - active.length,
+      bySeverity: countBySeverity(active),
+      operationsVerified: operations.length,
+      objectsChecked: objectChecks.length,
+      failed,
+    },
+    failed,
+    startedAt,
+    durationMs: Date.now() - startedAt.getTime(),
+  };
+}
+
+/**
+ * Versioned JSON report for a `scan()` result
+ */
+function toJSONReport(result, { threatModel = false } = {}) {
+  return generateJSONReport({ ...result, threatModel });
+}
+
+/**
+ * SARIF 2.1.0 log for a `scan()` result
+ */
+function toSarif(result) {
+  return generateSarif(result.issues, {
+    input: result.input,
+    rules: result.config?.rules,
+  });
+}
+
+export {
+  scan,
+  diff,
+  verify,
+  loadInput,
+  toJSONReport,
+  toSarif,
+  generateDiffJSONReport,
+  generateThreatModelJSON,
+  createBaseline,
+  loadBaseline,
+  applyBaseline,
+  fingerprintIssue,
+  RULES,
+  SEVERITIES,
+  consoleLogger,
+  stderrLogger,
+  silentLogger,
+};
@@ -0,0 +1,60 @@
+// lib/asyncapi.js
+
+// Transport and auth checks for AsyncAPI servers and operations.
+
+// Plaintext protocols → their TLS counterpart
+const INSECURE_PROTOCOLS = {
+  ws: "wss",
+  http: "https",
+  mqtt: "mqtts",
+  amqp: "amqps",
+  amqp1: "amqps",
+  stomp: "stomps",
+  kafka: "kafka-secure",
+};
+
+function isLocalHost(url) {
+  return /^(?:[a-z0-9+.-]+:\/\/)?(localhost|127\.0\.0\.1|\[::1\])(:|\/|$)/i.test(
+    url
+  );
+}
+
+// Does a security requirement list name at least one scheme? (2.x `{ name: [] }` or 3.x scheme objects)
+function hasSecurity(security) {
+  return (
+    Array.isArray(security) &&
+    security.some((entry) => entry && Object.keys(entry).length > 0)
+  );
+}
+
+/**
+ * Servers speaking a non-TLS protocol (local hosts excluded), as
+ * `[{ server, protocol, secureProtocol }]`. A URL scheme wins over `protocol`.
+ */
+function getInsecureServers(servers) {
+  return servers.flatMap((server) => {
+    const scheme = /^([a-z0-9+.-]+):\/\//i.exec(server.url)?.[1];
+    const protocol = (scheme || server.protocol).toLowerCase();
+    if (!INSECURE_PROTOCOLS[protocol] || isLocalHost(server.url)) return [];
+    return [{ server, protocol, secureProtocol: INSECURE_PROTOCOLS[protocol] }];
+  });
+}
+
+/**
+ * Why an operation can be used without credentials: `null` when it (or every
+ * server it runs on) requires security, otherwise `{ servers }` listing the
+ * unsecured server names (empty when the spec declares no servers).
+ */
+function getUnprotectedAccess(operation) {
+  if (hasSecurity(operation.security)) return null;
+  if (operation.servers.length === 0) return { servers: [] };
+
+  const open = operation.servers.filter(
+    (server) => !hasSecurity(server.security)
+  );
+  return open.length > 0
+    ? { servers: open.map((server) => server.name) }
+    : null;
+}
+
+export { getInsecureServers, getUnprotectedAccess, hasSecurity };
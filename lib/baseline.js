@@ -0,0 +1,78 @@
+// lib/baseline.js
+
+// Baseline files: record existing findings so only new ones fail the build.
+import fs from "fs";
+import crypto from "crypto";
+import { TOOL_NAME, TOOL_VERSION } from "./version.js";
+
+const BASELINE_SCHEMA_VERSION = "1.0.0";
+
+/**
+ * Stable fingerprint for an issue — independent of wording, line numbers and field order
+ */
+function fingerprintIssue(issue) {
+  const fields = (issue.fields || [])
+    .map((field) => `${field.in}:${field.path}`)
+    .sort();
+  const key = [
+    issue.ruleId,
+    issue.method || "",
+    issue.path || "",
+    issue.scheme || "",
+    ...fields,
+  ].join("|");
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+/**
+ * Build a baseline document from the current (unsuppressed) findings
+ */
+function createBaseline(issues, { input }) {
+  return {
+    schemaVersion: BASELINE_SCHEMA_VERSION,
+    tool: { name: TOOL_NAME, version: TOOL_VERSION },
+    createdAt: new Date().toISOString(),
+    input,
+    findings: issues
+      .filter((issue) => !issue.suppressed)
+      .map((issue) => ({
+        fingerprint: fingerprintIssue(issue),
+        ruleId: issue.ruleId,
+        method: issue.method || null,
+        path: issue.path || null,
+        message: issue.message,
+      })),
+  };
+}
+
+/**
+ * Load a baseline file written by `apishield baseline`
+ */
+function loadBaseline(filePath) {
+  const baseline = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  if (!Array.isArray(baseline.findings)) {
+    throw new Error(`Invalid baseline file: ${filePath}`);
+  }
+  return baseline;
+}
+
+/**
+ * Mark issues recorded in the baseline as suppressed
+ */
+function applyBaseline(issues, baseline) {
+  const known = new Set(baseline.findings.map((f) => f.fingerprint));
+
+  return issues.map((issue) =>
+    !issue.suppressed && known.has(fingerprintIssue(issue))
+      ? {
+          ...issue,
+          suppressed: {
+            kind: "baseline",
+            justification: `Recorded in baseline (${baseline.createdAt})`,
+          },
+        }
+      : issue
+  );
+}
+
+export { fingerprintIssue, createBaseline, loadBaseline, applyBaseline };
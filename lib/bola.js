@@ -0,0 +1,339 @@
+// lib/bola.js
+
+// Broken object level authorization (BOLA/IDOR) probing for `apishield verify`:
+// collect object IDs from user A's GET responses, request A's objects as
+// user B, and report operations that hand A's data to B.
+import {
+  listOperations,
+  shouldIgnorePath,
+  getEffectiveSecurity,
+  requiresAuth,
+} from "./normalizer.js";
+import { getSecuritySchemes } from "./securitySchemes.js";
+import { RULES, createIssue, applyRuleConfig } from "./rules.js";
+import { getInlineSuppression } from "./suppressions.js";
+import { getSourceLocation, toPointer } from "./dereference.js";
+import { consoleLogger } from "./logger.js";
+import { DEFAULT_CONFIG } from "./config.js";
+import {
+  buildUrl,
+  getParameters,
+  listOperationSchemes,
+  sendRequest,
+} from "./verify.js";
+
+// Mutating methods only run with `allowMutating` — B may really delete A's object
+const MUTATING_METHODS = ["post", "put", "patch", "delete"];
+
+// Keys that hold an object's identifier: id, uuid, userId, order_id, ... (not "paid" or "valid")
+const ID_KEY_PATTERN =
+  /^(id|Id|ID|uuid|UUID|guid|GUID)$|[a-z0-9](Id|ID|Uuid|UUID)$|[_-](id|ID|uuid|UUID)$/;
+
+// Bare identifier names: they say nothing about which object the ID belongs to
+const GENERIC_ID_KEYS = ["id", "uuid", "guid"];
+
+// How much of each response is searched for IDs
+const MAX_DEPTH = 6;
+const MAX_ITEMS = 20;
+
+const BOLA_FIX =
+  "Check that the authenticated user owns or may access the requested object (not just that they are logged in), and return 403 or 404 otherwise.";
+
+// "user_id", "userId" and "UserID" compare equal
+function normalizeKey(key) {
+  return key.replace(/[_-]/g, "").toLowerCase();
+}
+
+/**
+ * Identifier values in a JSON body as `[{ key, value }]`. Only the first
+ * MAX_ITEMS elements of each array are read.
+ */
+function collectIds(body, depth = 0) {
+  if (!body || typeof body !== "object" || depth > MAX_DEPTH) return [];
+  if (Array.isArray(body)) {
+    return body
+      .slice(0, MAX_ITEMS)
+      .flatMap((item) => collectIds(item, depth + 1));
+  }
+
+  return Object.entries(body).flatMap(([key, value]) => {
+    if (
+      ID_KEY_PATTERN.test(key) &&
+      (typeof value === "string" || typeof value === "number") &&
+      String(value) !== ""
+    ) {
+      return [{ key, value: String(value) }];
+    }
+    return collectIds(value, depth + 1);
+  });
+}
+
+/**
+ * Does a JSON body carry the object `name=value`? Only a top-level `id`
+ * (`uuid`, `guid`) or, anywhere, the parameter's own key counts: a shared
+ * `tenantId` or `ownerId` with the same value says nothing about whose object it is.
+ */
+function carriesObjectId(body, name, value) {
+  const topLevel =
+    body && typeof body === "object" && !Array.isArray(body)
+      ? Object.entries(body)
+      : [];
+  if (
+    topLevel.some(
+      ([key, id]) =>
+        GENERIC_ID_KEYS.includes(normalizeKey(key)) && String(id) === value
+    )
+  ) {
+    return true;
+  }
+
+  const key = normalizeKey(name);
+  if (GENERIC_ID_KEYS.includes(key)) return false;
+  return collectIds(body).some(
+    (id) => normalizeKey(id.key) === key && id.value === value
+  );
+}
+
+function isSuccess(response) {
+  return Boolean(response) && response.status >= 200 && response.status < 300;
+}
+
+// Path parameter names in template order ("/users/{userId}/orders/{id}" → ["userId", "id"])
+function pathParamNames(pathStr) {
+  return [...pathStr.matchAll(/\{([^}]+)\}/g)].map((match) => match[1]);
+}
+
+/**
+ * A user's ID for a path parameter: an item `id` from the collection the
+ * parameter indexes (`/users` for `/users/{userId}`), else, for specific
+ * names only (`userId`, `user_id`, not `id`), any ID under a matching key.
+ */
+function pickId(pathStr, name, discovered) {
+  const collection = pathStr.slice(0, pathStr.indexOf(`{${name}}`) - 1);
+  const fromCollection = (discovered.byPath.get(collection) || []).find((id) =>
+    GENERIC_ID_KEYS.includes(normalizeKey(id.key))
+  );
+  if (fromCollection) return fromCollection.value;
+
+  const key = normalizeKey(name);
+  if (GENERIC_ID_KEYS.includes(key)) return undefined;
+  const byName = discovered.byKey.get(key);
+  return byName ? byName[0] : undefined;
+}
+
+// `{ token }` or a bare token string, optionally with raw `headers` (e.g. a session Cookie)
+function toIdentity(setting) {
+  return typeof setting === "string" ? { token: setting } : setting || {};
+}
+
+function identityCredentials(identity, opSchemes) {
+  return {
+    scheme: opSchemes[0]?.scheme || {},
+    value: identity.token !== undefined ? String(identity.token) : undefined,
+    headers: identity.headers,
+  };
+}
+
+/**
+ * Replay user A's objects as user B. Every GET operation is first called as
+ * A and as B (shallow paths first) to collect each user's IDs; operations
+ * with path parameters that require auth are then requested with A's IDs as B.
+ * IDs B would use itself are shared (catalogs, tenants) and not replayed.
+ * GET responses to B count when they carry A's ID under the parameter's key
+ * or a top-level `id`, or equal A's response (empty and non-JSON bodies
+ * cannot be compared), unless they equal B's response for its own object or
+ * the object is also served without credentials;
+ * mutating methods (with `allowMutating`) count on any 2xx.
+ * Returns `{ checks: [{ method, path, url, statusA, statusB }], issues }`.
+ */
+async function probeObjectAuthorization(
+  normalizedSpec,
+  { baseUrl, config, allowMutating = false, logger = consoleLogger }
+) {
+  const schemes = getSecuritySchemes(normalizedSpec);
+  const userA = toIdentity(config.verify?.userA);
+  const userB = toIdentity(config.verify?.userB);
+  const timeoutMs = config.probe?.timeoutMs || DEFAULT_CONFIG.probe.timeoutMs;
+  if (JSON.stringify(userA) === JSON.stringify(userB)) {
+    logger.warn("⚠️  verify.userA and verify.userB are the same identity");
+  }
+
+  const operations = listOperations(normalizedSpec)
+    .filter(
+      ({ path: pathStr }) =>
+        !shouldIgnorePath(pathStr, config.ignorePaths || [])
+    )
+    .map((entry) => ({
+      ...entry,
+      params: getParameters(entry.op, entry.pathObj),
+      names: pathParamNames(entry.path),
+      opSchemes: listOperationSchemes(
+        getEffectiveSecurity(entry.op, normalizedSpec) || [],
+        schemes
+      ),
+    }));
+
+  // Fill every path parameter with one of the user's IDs, or null when one is missing
+  const fillIds = ({ path: pathStr, names }, discovered) => {
+    const values = {};
+    for (const name of names) {
+      values[name] = pickId(pathStr, name, discovered);
+      if (values[name] === undefined) return null;
+    }
+    return values;
+  };
+
+  // 🔎 Discovery: one user's GET responses, collections before the objects inside them
+  const reads = operations
+    .filter(({ method }) => method === "get")
+    .sort((a, b) => a.names.length - b.names.length);
+  const discover = async (identity, label) => {
+    const discovered = {
+      byPath: new Map(),
+      byKey: new Map(),
+      responses: new Map(),
+    };
+    for (const operation of reads) {
+      const values = fillIds(operation, discovered);
+      if (!values) continue;
+
+      const url = buildUrl(baseUrl, operation.path, operation.params, values);
+      let response;
+      try {
+        response = await sendRequest(
+          { method: "get", url },
+          identityCredentials(identity, operation.opSchemes),
+          timeoutMs
+        );
+      } catch (e) {
+        logger.warn(`⚠️  GET ${operation.path} as ${label}: ${e.message}`);
+        continue;
+      }
+      if (!isSuccess(response)) continue;
+
+      discovered.responses.set(url.href, response);
+      const ids = collectIds(response.body);
+      discovered.byPath.set(operation.path, ids);
+      for (const id of ids) {
+        const key = normalizeKey(id.key);
+        const known = discovered.byKey.get(key) || [];
+        if (!known.includes(id.value)) known.push(id.value);
+        discovered.byKey.set(key, known);
+      }
+    }
+    return discovered;
+  };
+  const discoveredA = await discover(userA, "user A");
+  const discoveredB = await discover(userB, "user B");
+
+  // 🪪 Replay: A's objects requested as B
+  const checks = [];
+  const issues = [];
+  for (const operation of operations) {
+    const { path: pathStr, method, op, pathObj, names, opSchemes } = operation;
+    if (names.length === 0) continue;
+    if (!requiresAuth(getEffectiveSecurity(op, normalizedSpec))) continue;
+    if (MUTATING_METHODS.includes(method) && !allowMutating) continue;
+    if (method !== "get" && !MUTATING_METHODS.includes(method)) continue;
+
+    const opId = `${method.toUpperCase()} ${pathStr}`;
+    const values = fillIds(operation, discoveredA);
+    if (!values) {
+      logger.debug(`   ${opId} → skipped, no IDs from user A's responses`);
+      continue;
+    }
+    const objectName = names[names.length - 1];
+    const objectId = values[objectName];
+    // B's own object for the same operation, to tell shared objects and "always me" responses apart
+    const valuesB = fillIds(operation, discoveredB);
+    if (valuesB && valuesB[objectName] === objectId) {
+      logger.debug(`   ${opId} → skipped, user B has ${objectId} too`);
+      continue;
+    }
+    const ownResponseB = valuesB
+      ? discoveredB.responses.get(
+          buildUrl(baseUrl, pathStr, operation.params, valuesB).href
+        )
+      : null;
+
+    const url = buildUrl(baseUrl, pathStr, operation.params, values);
+    // Reads compare with A's discovery response; mutating methods are only sent as B
+    const responseA =
+      method === "get" ? discoveredA.responses.get(url.href) : null;
+    if (method === "get" && !responseA) continue;
+
+    let responseB;
+    try {
+      responseB = await sendRequest(
+        { method, url },
+        identityCredentials(userB, opSchemes),
+        timeoutMs
+      );
+    } catch (e) {
+      logger.warn(`⚠️  ${opId} as user B: ${e.message}`);
+      continue;
+    }
+
+    const check = {
+      method: method.toUpperCase(),
+      path: pathStr,
+      url: url.href,
+      statusA: responseA ? responseA.status : null,
+      statusB: responseB.status,
+    };
+    checks.push(check);
+    logger.debug(
+      `   ${opId} → user A ${check.statusA || "-"}, user B ${check.statusB}`
+    );
+
+    if (!isSuccess(responseB)) continue;
+    const comparable = responseA?.body !== null && responseB.body !== null;
+    const sameAs = (other) =>
+      JSON.stringify(responseB.body) === JSON.stringify(other?.body);
+    const leaked =
+      method !== "get" ||
+      ((carriesObjectId(responseB.body, objectName, objectId) ||
+        (comparable && sameAs(responseA))) &&
+        !(comparable && ownResponseB && sameAs(ownResponseB)));
+    if (!leaked) continue;
+
+    // Served without credentials too: public (or missing auth, which verify reports), not A's object leaking
+    if (method === "get") {
+      const anonymous = await sendRequest(
+        { method, url },
+        undefined,
+        timeoutMs
+      ).catch(() => null);
+      if (isSuccess(anonymous)) {
+        logger.debug(`   ${opId} → not reported, served without credentials`);
+        continue;
+      }
+    }
+
+    const idList = names.map((name) => `${name}=${values[name]}`).join(", ");
+    const issue = createIssue("bola", {
+      method: method.toUpperCase(),
+      path: pathStr,
+      message: RULES.bola.name,
+      detail:
+        method === "get"
+          ? `${opId} returned user A's object (${idList}) to user B with status ${responseB.status} (GET ${url.href})`
+          : `${opId} accepted user B's request on user A's object (${idList}) with status ${responseB.status} (${method.toUpperCase()} ${url.href})`,
+      fix: BOLA_FIX,
+      location:
+        getSourceLocation(op) ||
+        (normalizedSpec._source
+          ? undefined
+          : { file: null, pointer: toPointer(["paths", pathStr, method]) }),
+    });
+    const suppression = getInlineSuppression([op, pathObj], "bola", logger);
+    issues.push(suppression ? { ...issue, suppressed: suppression } : issue);
+  }
+
+  return {
+    checks,
+    issues: applyRuleConfig(issues, config.rules),
+  };
+}
+
+export { probeObjectAuthorization, collectIds };
@@ -1,53 +1,172 @@
 // lib/config.js
 import fs from "fs";
 import path from "path";
-import chalk from "chalk";
+import { normalizeRuleConfig } from "./rules.js";
+import { consoleLogger } from "./logger.js";
 
 const DEFAULT_CONFIG = {
   ignorePaths: [],
   customSensitiveFields: [],
+  // GraphQL directives that mark a mutation as requiring auth
+  graphqlAuthDirectives: [
+    "auth",
+    "authenticated",
+    "isAuthenticated",
+    "requireAuth",
+    "requiresAuth",
+    "hasRole",
+    "hasScope",
+    "hasPermission",
+    "aws_auth",
+    "aws_iam",
+    "aws_cognito_user_pools",
+    "aws_oidc",
+    "aws_lambda",
+  ],
+  // Live URL probing: extra paths (inline or a wordlist file), pacing, and
+  // headers/cookies for authenticated areas
+  probe: {
+    paths: [],
+    wordlist: null,
+    concurrency: 4,
+    requestsPerSecond: 5,
+    timeoutMs: 5000,
+    maxRetries: 3,
+    maxRequests: 500,
+    headers: {},
+    cookies: {},
+  },
+  // `apishield verify`: token of a user without elevated rights, and paths only
+  // privileged users may call (operations with OAuth scopes count too).
+  // userA/userB ({ token, headers } or a token) enable the BOLA checks.
+  verify: {
+    lowPrivilegeToken: null,
+    privilegedPaths: [],
+    userA: null,
+    userB: null,
+  },
+  // Per-rule setting: "off" | "warn" | "error", a severity, or { level, severity }
   rules: {
-    missingAuth: "error",
-    sensitiveData: "error",
+    "missing-auth": "error",
+    "sensitive-data": "error",
   },
+  // Minimum severity of an error-level issue that fails the scan
+  failOn: "low",
 };
 
-function loadConfig(cwd = process.cwd()) {
+/**
+ * Merge a user config object over the defaults (array settings are unioned)
+ */
+function resolveConfig(userConfig = {}, logger = consoleLogger) {
+  const merged = { ...DEFAULT_CONFIG, ...userConfig };
+
+  // Merge arrays properly
+  if (userConfig.ignorePaths) {
+    merged.ignorePaths = [
+      ...new Set([...DEFAULT_CONFIG.ignorePaths, ...userConfig.ignorePaths]),
+    ];
+  }
+  if (userConfig.customSensitiveFields) {
+    merged.customSensitiveFields = [
+      ...new Set([
+        ...DEFAULT_CONFIG.customSensitiveFields,
+        ...userConfig.customSensitiveFields,
+      ]),
+    ];
+  }
+
+  if (userConfig.graphqlAuthDirectives) {
+    merged.graphqlAuthDirectives = [
+      ...new Set([
+        ...DEFAULT_CONFIG.graphqlAuthDirectives,
+        ...userConfig.graphqlAuthDirectives,
+      ]),
+    ];
+  }
+
+  if (userConfig.probe) {
+    merged.probe = { ...DEFAULT_CONFIG.probe, ...userConfig.probe };
+  }
+
+  if (userConfig.verify) {
+    merged.verify = { ...DEFAULT_CONFIG.verify, ...userConfig.verify };
+  }
+
+  // Merge rule settings (legacy camelCase keys map to rule IDs)
+  if (userConfig.rules) {
+    merged.rules = {
+      ...DEFAULT_CONFIG.rules,
+      ...normalizeRuleConfig(userConfig.rules, logger),
+    };
+  }
+
+  return merged;
+}
+
+function loadConfig(cwd = process.cwd(), { logger = consoleLogger } = {}) {
   const configPath = path.join(cwd, "config.apishield.json");
 
   if (fs.existsSync(configPath)) {
     try {
       const userConfig = JSON.parse(fs.readFileSync(configPath, "utf8"));
-      const merged = { ...DEFAULT_CONFIG, ...userConfig };
-
-      // Merge arrays properly
-      if (userConfig.ignorePaths) {
-        merged.ignorePaths = [
-          ...new Set([
-            ...DEFAULT_CONFIG.ignorePaths,
-            ...userConfig.ignorePaths,
-          ]),
-        ];
-      }
-      if (userConfig.customSensitiveFields) {
-        merged.customSensitiveFields = [
-          ...new Set([
-            ...DEFAULT_CONFIG.customSensitiveFields,
-            ...userConfig.customSensitiveFields,
-          ]),
-        ];
-      }
-
-      console.log(chalk.gray("📝 Using config from .apishield.json"));
+      const merged = resolveConfig(userConfig, logger);
+      logger.debug("📝 Using config from .apishield.json");
       return merged;
     } catch (e) {
-      console.warn(
-        chalk.yellow("⚠️  Invalid .apishield.json — using defaults")
-      );
+      logger.warn("⚠️  Invalid .apishield.json — using defaults");
     }
   }
 
   return DEFAULT_CONFIG;
 }
 
-export { loadConfig, DEFAULT_CONFIG };
+// 🙈 Credentials in a config that is about to be reported or returned
+const REDACTED = "[redacted]";
+
+function redactValues(values) {
+  return values
+    ? Object.fromEntries(Object.keys(values).map((key) => [key, REDACTED]))
+    : values;
+}
+
+function redactIdentity(identity) {
+  if (!identity) return identity;
+  if (typeof identity !== "object") return REDACTED;
+  return {
+    ...identity,
+    ...(identity.token !== undefined ? { token: REDACTED } : {}),
+    ...(identity.headers ? { headers: redactValues(identity.headers) } : {}),
+  };
+}
+
+/**
+ * Copy of a resolved config with probe header/cookie values and verify
+ * tokens replaced by "[redacted]" (names are kept)
+ */
+function redactConfig(config) {
+  if (!config) return config;
+  return {
+    ...config,
+    ...(config.probe
+      ? {
+          probe: {
+            ...config.probe,
+            headers: redactValues(config.probe.headers),
+            cookies: redactValues(config.probe.cookies),
+          },
+        }
+      : {}),
+    ...(config.verify
+      ? {
+          verify: {
+            ...config.verify,
+            lowPrivilegeToken: redactIdentity(config.verify.lowPrivilegeToken),
+            userA: redactIdentity(config.verify.userA),
+            userB: redactIdentity(config.verify.userB),
+          },
+        }
+      : {}),
+  };
+}
+
+export { loadConfig, resolveConfig, redactConfig, DEFAULT_CONFIG };
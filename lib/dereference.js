@@ -0,0 +1,233 @@
+// lib/dereference.js
+
+// Resolves $ref pointers (internal JSON pointers, relative files or URLs, Swagger 2.0 definitions) so scanners see real schemas.
+import path from "path";
+import { parseOpenAPI } from "./parsers/openapi.js";
+import { consoleLogger } from "./logger.js";
+
+const ROOT_DOCUMENT = "#root";
+
+// Resolved node → { file, pointer } where it was defined (used for report locations)
+const sourceLocations = new WeakMap();
+
+// Encode a single JSON pointer token — "/" becomes "~1", "~" becomes "~0"
+function encodePointerToken(token) {
+  return String(token).replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+/**
+ * Build a JSON pointer from path tokens, e.g. ["paths", "/users", "get"] → "/paths/~1users/get"
+ */
+function toPointer(tokens) {
+  return tokens.map((token) => `/${encodePointerToken(token)}`).join("");
+}
+
+/**
+ * Where a dereferenced node was defined: `{ file, pointer }` (file is null for the scanned input)
+ */
+function getSourceLocation(node) {
+  return node && typeof node === "object"
+    ? sourceLocations.get(node)
+    : undefined;
+}
+
+function isHttpUrl(id) {
+  return /^https?:\/\//i.test(id);
+}
+
+// Decode a single JSON pointer token (RFC 6901) — "~1" is "/", "~0" is "~"
+function decodePointerToken(token) {
+  return decodeURIComponent(token).replace(/~1/g, "/").replace(/~0/g, "~");
+}
+
+/**
+ * Look up a JSON pointer fragment (e.g. "/components/schemas/User") in a document
+ */
+function resolvePointer(doc, fragment) {
+  if (!fragment) return doc;
+  if (!fragment.startsWith("/")) return undefined; // Named anchors are not supported
+
+  let current = doc;
+  for (const token of fragment.split("/").slice(1)) {
+    if (current === null || typeof current !== "object") return undefined;
+    current = current[decodePointerToken(token)];
+  }
+  return current;
+}
+
+/**
+ * Dereference every $ref in a spec.
+ * Circular references are replaced with `{ $ref, _circular: true }` so recursive schemas terminate.
+ * For a spec loaded over HTTP (`source` is its URL), relative and server-relative
+ * refs on the same origin are loaded with `options.fetchDocument(url)`.
+ */
+async function dereferenceSpec(spec, options = {}) {
+  const rootId = !options.source
+    ? ROOT_DOCUMENT
+    : isHttpUrl(options.source)
+      ? options.source
+      : path.resolve(options.source);
+  const logger = options.logger || consoleLogger;
+  const documents = new Map([[rootId, spec]]);
+  const resolved = new Map();
+  const unresolved = new Set();
+
+  // Remote documents are stored as promises so concurrent refs share one request
+  function getDocument(docId) {
+    if (!documents.has(docId)) {
+      documents.set(
+        docId,
+        isHttpUrl(docId) ? options.fetchDocument(docId) : parseOpenAPI(docId)
+      );
+    }
+    return documents.get(docId);
+  }
+
+  // "/schemas/user.json" or "./user.yaml" next to a spec served at docId (another origin is not followed)
+  function resolveRemoteId(filePart, docId) {
+    if (!options.fetchDocument) return undefined;
+    const url = new URL(filePart, docId);
+    return url.origin === new URL(docId).origin ? url.href : undefined;
+  }
+
+  async function resolveRef(ref, docId, stack, scopes) {
+    const hashIndex = ref.indexOf("#");
+    const filePart = hashIndex === -1 ? ref : ref.slice(0, hashIndex);
+    const fragment = hashIndex === -1 ? "" : ref.slice(hashIndex + 1);
+
+    let targetId = docId;
+    if (filePart && isHttpUrl(docId)) {
+      targetId = resolveRemoteId(filePart, docId);
+      if (!targetId) {
+        unresolved.add(ref);
+        return undefined;
+      }
+    } else if (filePart) {
+      // Remote refs and relative refs without a known base file can't be loaded
+      if (/^[a-z]+:\/\//i.test(filePart) || docId === ROOT_DOCUMENT) {
+        unresolved.add(ref);
+        return undefined;
+      }
+      targetId = path.resolve(path.dirname(docId), filePart);
+    }
+
+    let target;
+    try {
+      target = resolvePointer(await getDocument(targetId), fragment);
+    } catch (e) {
+      target = undefined;
+    }
+
+    // "#/$defs/..." written relative to an enclosing schema (common in 3.1 specs
+    // generated from JSON Schema) resolves against the nearest schema declaring $defs
+    let base = "";
+    let targetScopes = [];
+    if (target === undefined && !filePart && fragment.startsWith("/$defs/")) {
+      for (let i = scopes.length - 1; i >= 0; i--) {
+        target = resolvePointer(scopes[i].node, fragment);
+        if (target !== undefined) {
+          base = scopes[i].pointer;
+          targetScopes = scopes.slice(0, i + 1);
+          break;
+        }
+      }
+    }
+    if (target === undefined) {
+      unresolved.add(ref);
+      return undefined;
+    }
+
+    const key = `${targetId}#${base}${fragment}`;
+    if (stack.includes(key)) {
+      return { $ref: ref, _circular: true };
+    }
+    if (resolved.has(key)) {
+      return resolved.get(key);
+    }
+
+    // Re-encode without percent-escapes so locations use plain JSON pointers
+    const pointer =
+      base + toPointer(fragment.split("/").slice(1).map(decodePointerToken));
+    const value = await walk(
+      target,
+      targetId,
+      [...stack, key],
+      pointer,
+      targetScopes
+    );
+    resolved.set(key, value);
+    return value;
+  }
+
+  function track(value, docId, pointer) {
+    sourceLocations.set(value, {
+      file: docId === ROOT_DOCUMENT || docId === rootId ? null : docId,
+      pointer,
+    });
+    return value;
+  }
+
+  // `scopes` are the enclosing schemas with $defs: `[{ node, pointer }]`
+  async function walk(node, docId, stack, pointer, scopes) {
+    if (Array.isArray(node)) {
+      const items = [];
+      for (const [index, item] of node.entries()) {
+        items.push(
+          await walk(item, docId, stack, `${pointer}/${index}`, scopes)
+        );
+      }
+      return track(items, docId, pointer);
+    }
+    if (!node || typeof node !== "object") return node;
+
+    if (typeof node.$ref === "string") {
+      const target = await resolveRef(node.$ref, docId, stack, scopes);
+      if (target === undefined) return node; // Leave unresolvable refs in place
+
+      const { $ref, ...siblings } = node;
+      if (
+        Object.keys(siblings).length === 0 ||
+        typeof target !== "object" ||
+        Array.isArray(target)
+      ) {
+        return target;
+      }
+      // OpenAPI 3.1 allows keywords next to $ref — they override the target
+      const merged = {
+        ...target,
+        ...(await walk(siblings, docId, stack, pointer, scopes)),
+      };
+      return track(merged, docId, pointer);
+    }
+
+    const innerScopes =
+      node.$defs && typeof node.$defs === "object"
+        ? [...scopes, { node, pointer }]
+        : scopes;
+    const out = {};
+    for (const [key, value] of Object.entries(node)) {
+      out[key] = await walk(
+        value,
+        docId,
+        stack,
+        `${pointer}/${encodePointerToken(key)}`,
+        innerScopes
+      );
+    }
+    return track(out, docId, pointer);
+  }
+
+  const result = await walk(spec, rootId, [], "", []);
+
+  if (unresolved.size > 0) {
+    logger.warn(
+      `⚠️  Could not resolve ${unresolved.size} $ref(s): ${[...unresolved]
+        .slice(0, 5)
+        .join(", ")}${unresolved.size > 5 ? ", ..." : ""}`
+    );
+  }
+
+  return result;
+}
+
+export { dereferenceSpec, resolvePointer, getSourceLocation, toPointer };
@@ -0,0 +1,273 @@
+// lib/diff.js
+
+// Security regression diff between two normalized specs (any input format).
+import { flattenSchema } from "./schemaWalker.js";
+import { getSecuritySchemes } from "./securitySchemes.js";
+import { severityRank } from "./rules.js";
+import {
+  listOperations,
+  getEffectiveSecurity,
+  requiresAuth,
+  isLikelyPublicPath,
+  getSuccessResponseSchemas,
+  classifyFields,
+  severityForFields,
+  filterByCompliance,
+  shouldIgnorePath,
+} from "./normalizer.js";
+
+/**
+ * Kinds of security-relevant change, with default severities
+ */
+const CHANGE_TYPES = {
+  "auth-removed": {
+    name: "Authentication removed",
+    severity: "critical",
+  },
+  "new-unauthenticated-endpoint": {
+    name: "New endpoint without authentication",
+    severity: "high",
+  },
+  "sensitive-field-exposed": {
+    name: "Newly exposed sensitive response field",
+    severity: "high",
+  },
+  "new-scheme-type": {
+    name: "New security scheme type",
+    severity: "medium",
+  },
+  "scope-removed": {
+    name: "Required scope removed",
+    severity: "medium",
+  },
+};
+
+// Templated segments compare equal regardless of parameter name: /users/{id} ≈ /users/{userId}
+function templateKey(pathStr) {
+  return pathStr.replace(/\{[^}]+\}/g, "{}");
+}
+
+// Does a concrete path (e.g. from a HAR capture) match a templated one?
+function matchesTemplate(concrete, template) {
+  const a = concrete.split("/");
+  const b = template.split("/");
+  return (
+    a.length === b.length &&
+    b.every((segment, i) => /^\{[^}]+\}$/.test(segment) || segment === a[i])
+  );
+}
+
+/**
+ * Pair each operation in `next` with its counterpart in `prev` (or null)
+ */
+function pairOperations(prev, next) {
+  const prevOps = listOperations(prev);
+  const byKey = new Map(
+    prevOps.map((entry) => [
+      `${entry.method} ${templateKey(entry.path)}`,
+      entry,
+    ])
+  );
+
+  return listOperations(next).map((entry) => {
+    const exact = byKey.get(`${entry.method} ${templateKey(entry.path)}`);
+    const counterpart =
+      exact ||
+      prevOps.find(
+        (candidate) =>
+          candidate.method === entry.method &&
+          (matchesTemplate(entry.path, candidate.path) ||
+            matchesTemplate(candidate.path, entry.path))
+      ) ||
+      null;
+    return { next: entry, prev: counterpart };
+  });
+}
+
+// Sensitive response fields of an operation, keyed by field path
+function sensitiveResponseFields(op, config) {
+  const fields = new Map();
+  for (const { schema } of getSuccessResponseSchemas(op)) {
+    for (const field of classifyFields(
+      flattenSchema(schema, { context: "response" }).fields,
+      config.customSensitiveFields
+    )) {
+      fields.set(field.path, field);
+    }
+  }
+  return fields;
+}
+
+// Required scopes per scheme name across all requirement alternatives
+function requiredScopes(security) {
+  const scopes = new Map();
+  for (const req of Array.isArray(security) ? security : []) {
+    if (!req || typeof req !== "object") continue;
+    for (const [name, list] of Object.entries(req)) {
+      if (!scopes.has(name)) scopes.set(name, new Set());
+      (list || []).forEach((scope) => scopes.get(name).add(scope));
+    }
+  }
+  return scopes;
+}
+
+// Scheme names referenced by a security requirement array
+function schemeNames(security) {
+  return (Array.isArray(security) ? security : []).flatMap((req) =>
+    typeof req === "string" ? [req] : Object.keys(req || {})
+  );
+}
+
+// "http/basic", "apiKey/query", "oauth2/implicit", ...
+function schemeTypes(scheme) {
+  if (scheme.type === "http") {
+    return [`http/${(scheme.scheme || "").toLowerCase()}`];
+  }
+  if (scheme.type === "apiKey") return [`apiKey/${scheme.in}`];
+  if (scheme.type === "oauth2") {
+    return Object.keys(scheme.flows || {}).map((flow) => `oauth2/${flow}`);
+  }
+  return [scheme.type];
+}
+
+function createChange(type, change) {
+  return {
+    type,
+    severity: CHANGE_TYPES[type].severity,
+    message: CHANGE_TYPES[type].name,
+    ...change,
+  };
+}
+
+/**
+ * Report security-relevant changes from `prev` to `next` (both normalized).
+ * Only regressions are reported — removed endpoints or added auth are not.
+ */
+function diffSpecs(
+  prev,
+  next,
+  config = { ignorePaths: [], customSensitiveFields: [] }
+) {
+  const changes = [];
+
+  // 🆕 Scheme types the new version introduces
+  const prevTypes = new Set(
+    Object.values(getSecuritySchemes(prev)).flatMap(schemeTypes)
+  );
+  for (const [name, scheme] of Object.entries(getSecuritySchemes(next))) {
+    for (const type of schemeTypes(scheme)) {
+      if (prevTypes.has(type)) continue;
+      changes.push(
+        createChange("new-scheme-type", {
+          method: null,
+          path: null,
+          scheme: name,
+          detail: `Security scheme '${name}' introduces ${type}`,
+        })
+      );
+    }
+  }
+
+  for (const { prev: before, next: after } of pairOperations(prev, next)) {
+    if (shouldIgnorePath(after.path, config.ignorePaths || [])) continue;
+
+    const method = after.method.toUpperCase();
+    const opId = `${method} ${after.path}`;
+    const opInfo = { method, path: after.path };
+    const security = getEffectiveSecurity(after.op, next);
+
+    // 🔒 Auth removed from an existing operation, or missing on a new one
+    if (!requiresAuth(security)) {
+      if (!before) {
+        changes.push(
+          createChange("new-unauthenticated-endpoint", {
+            ...opInfo,
+            // Login, health and docs endpoints are usually public on purpose
+            ...(isLikelyPublicPath(after.path) ? { severity: "low" } : {}),
+            detail: `${opId} was added without a security requirement`,
+          })
+        );
+      } else if (requiresAuth(getEffectiveSecurity(before.op, prev))) {
+        const was = schemeNames(getEffectiveSecurity(before.op, prev));
+        changes.push(
+          createChange("auth-removed", {
+            ...opInfo,
+            detail: `${opId} required ${[...new Set(was)].join(
+              " or "
+            )} and no longer requires authentication`,
+          })
+        );
+      }
+    }
+
+    // 🎯 Scopes dropped from an operation's requirements
+    if (before) {
+      const beforeScopes = requiredScopes(
+        getEffectiveSecurity(before.op, prev)
+      );
+      const afterScopes = requiredScopes(security);
+      for (const [name, scopes] of beforeScopes) {
+        if (!afterScopes.has(name)) continue; // Scheme swap or auth removal is reported elsewhere
+        const removed = [...scopes].filter(
+          (scope) => !afterScopes.get(name).has(scope)
+        );
+        if (removed.length > 0) {
+          changes.push(
+            createChange("scope-removed", {
+              ...opInfo,
+              scheme: name,
+              detail: `${opId} no longer requires ${name} scope(s): ${removed.join(
+                ", "
+              )}`,
+            })
+          );
+        }
+      }
+    }
+
+    // 👁️ Sensitive/regulated response fields not exposed before
+    const beforeFields = before
+      ? sensitiveResponseFields(before.op, config)
+      : new Map();
+    let exposed = [
+      ...sensitiveResponseFields(after.op, config).values(),
+    ].filter((field) => !beforeFields.has(field.path));
+    if (config.compliance) {
+      exposed = filterByCompliance(
+        exposed,
+        config.compliance,
+        (field) => field.name
+      ).complianceFields;
+    }
+    if (exposed.length > 0) {
+      const secret = exposed.some(
+        (field) => field.secret && field.confidence === "high"
+      );
+      changes.push(
+        createChange("sensitive-field-exposed", {
+          ...opInfo,
+          // Severity follows match confidence; leaked credentials are worse
+          severity: secret ? "critical" : severityForFields(exposed),
+          detail: `${opId} now returns: ${exposed
+            .map((field) => field.path)
+            .join(", ")}`,
+          fields: exposed.map((field) => ({
+            path: field.path,
+            in: "response",
+            confidence: field.confidence,
+          })),
+          regulations: [
+            ...new Set(exposed.flatMap((field) => field.regulations)),
+          ],
+        })
+      );
+    }
+  }
+
+  // Most severe first
+  return changes.sort(
+    (a, b) => severityRank(b.severity) - severityRank(a.severity)
+  );
+}
+
+export { diffSpecs, CHANGE_TYPES };
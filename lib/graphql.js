@@ -0,0 +1,134 @@
+// lib/graphql.js
+
+// Schema-level checks for GraphQL: what Query can reach, which mutations
+// carry no auth directive, and which list fields can't be paginated.
+
+// Arguments that bound how many items a list field returns
+const PAGINATION_ARGS = [
+  "first",
+  "last",
+  "limit",
+  "take",
+  "top",
+  "pagesize",
+  "perpage",
+  "size",
+  "count",
+  "max",
+  "page",
+];
+
+const OUTPUT_KINDS = ["OBJECT", "INTERFACE", "UNION"];
+
+// Innermost named type of a reference (`[User!]!` → "User")
+function getNamedType(ref) {
+  return ref.ofType ? getNamedType(ref.ofType) : ref.name;
+}
+
+function isListType(ref) {
+  if (ref.kind === "NON_NULL") return isListType(ref.ofType);
+  return ref.kind === "LIST";
+}
+
+// Concrete and abstract types a value of this type may be (unions, interface implementations)
+function getPossibleTypes(schema, type) {
+  if (type.kind === "UNION") return type.possibleTypes;
+  if (type.kind === "INTERFACE") {
+    return [
+      type.name,
+      ...type.possibleTypes,
+      ...Object.values(schema.types)
+        .filter((candidate) => candidate.interfaces.includes(type.name))
+        .map((candidate) => candidate.name),
+    ];
+  }
+  return [type.name];
+}
+
+/**
+ * Every output field reachable from each Query root field, as
+ * `[{ root, fields: [{ path, name, type }] }]`. Each type is expanded once
+ * per root (at its shortest path), so recursive types terminate.
+ */
+function listReachableFields(schema) {
+  const queryType = schema.types[schema.queryType];
+  if (!queryType) return [];
+
+  return queryType.fields.map((root) => {
+    const fields = [];
+    const paths = new Set();
+    const expanded = new Set();
+    const queue = [{ typeName: getNamedType(root.type), prefix: "" }];
+
+    while (queue.length > 0) {
+      const { typeName, prefix } = queue.shift();
+      const type = schema.types[typeName];
+      if (!type || !OUTPUT_KINDS.includes(type.kind)) continue;
+
+      for (const possible of getPossibleTypes(schema, type)) {
+        if (expanded.has(possible)) continue;
+        expanded.add(possible);
+
+        for (const field of schema.types[possible]?.fields || []) {
+          const path = prefix ? `${prefix}.${field.name}` : field.name;
+          if (paths.has(path)) continue;
+          paths.add(path);
+          fields.push({ path, name: field.name, type: possible });
+          queue.push({ typeName: getNamedType(field.type), prefix: path });
+        }
+      }
+    }
+
+    return { root, fields };
+  });
+}
+
+/**
+ * Mutation fields with none of the given auth directives on the field or
+ * the Mutation type. Empty for introspection results, which carry no directives.
+ */
+function findUnprotectedMutations(schema, authDirectives = []) {
+  const mutationType = schema.types[schema.mutationType];
+  if (!mutationType || !schema.hasDirectives) return [];
+
+  const names = authDirectives.map((directive) =>
+    directive.replace(/^@/, "").toLowerCase()
+  );
+  const isAuthDirective = (directive) =>
+    names.includes(directive.toLowerCase());
+
+  if (mutationType.directives.some(isAuthDirective)) return [];
+  return mutationType.fields.filter(
+    (field) => !field.directives.some(isAuthDirective)
+  );
+}
+
+function hasPaginationArgs(field) {
+  return field.args.some((arg) =>
+    PAGINATION_ARGS.includes(arg.name.replace(/_/g, "").toLowerCase())
+  );
+}
+
+/**
+ * List fields of objects without a pagination argument, as `[{ type, field }]`.
+ * Scalar/enum lists and Relay connection edges (bounded by the connection's
+ * own `first`/`last`) are skipped.
+ */
+function findUnboundedLists(schema) {
+  const unbounded = [];
+  for (const type of Object.values(schema.types)) {
+    if (!["OBJECT", "INTERFACE"].includes(type.kind)) continue;
+    if (type.name === schema.mutationType) continue;
+    if (/Connection$/.test(type.name)) continue;
+
+    for (const field of type.fields) {
+      if (!isListType(field.type) || hasPaginationArgs(field)) continue;
+      const itemType = schema.types[getNamedType(field.type)];
+      if (!itemType || !OUTPUT_KINDS.includes(itemType.kind)) continue;
+      unbounded.push({ type: type.name, field });
+    }
+  }
+  return unbounded;
+}
+
+export { listReachableFields, findUnprotectedMutations, findUnboundedLists };
@@ -0,0 +1,159 @@
+// lib/headerChecks.js
+
+// Header-level checks for captured traffic: session cookies, Set-Cookie flags,
+// CORS, protective headers and version disclosure.
+
+// Cookie names used for server-side sessions or auth tokens (CSRF tokens are not auth)
+const SESSION_COOKIE_PATTERN = /sess|^sid$|[._-]sid$|auth|token|jwt|remember/i;
+const CSRF_COOKIE_PATTERN = /csrf|xsrf/i;
+
+function isSessionCookie(name) {
+  return SESSION_COOKIE_PATTERN.test(name) && !CSRF_COOKIE_PATTERN.test(name);
+}
+
+function getHeaderValues(headers, name) {
+  return (headers || [])
+    .filter((h) => h.name.toLowerCase() === name)
+    .map((h) => h.value);
+}
+
+function getHeader(headers, name) {
+  return getHeaderValues(headers, name)[0];
+}
+
+/**
+ * Names of the cookies a HAR request sent (`cookies` array or the Cookie header)
+ */
+function getRequestCookieNames(request) {
+  if (Array.isArray(request.cookies) && request.cookies.length > 0) {
+    return request.cookies.map((cookie) => cookie.name);
+  }
+  return getHeaderValues(request.headers, "cookie").flatMap((value) =>
+    value
+      .split(";")
+      .map((pair) => pair.split("=")[0].trim())
+      .filter(Boolean)
+  );
+}
+
+// "sid=abc; Path=/; HttpOnly; SameSite=Lax" → { name: "sid", attributes: { path: "/", httponly: true, samesite: "lax" } }
+function parseSetCookie(value) {
+  const [pair, ...parts] = value.split(";");
+  const attributes = {};
+  for (const part of parts) {
+    const [key, ...rest] = part.split("=");
+    if (!key.trim()) continue;
+    attributes[key.trim().toLowerCase()] = rest.length
+      ? rest.join("=").trim().toLowerCase()
+      : true;
+  }
+  return { name: pair.split("=")[0].trim(), attributes };
+}
+
+/**
+ * Missing Secure/HttpOnly/SameSite flags on one Set-Cookie header
+ */
+function checkSetCookie(value) {
+  const { name, attributes } = parseSetCookie(value);
+  // Deleting a cookie (Max-Age=0) exposes nothing
+  if (attributes["max-age"] === "0" || !name) return null;
+
+  const missing = [];
+  if (!attributes.secure) missing.push("Secure");
+  // Non-session cookies (preferences, analytics) are often read by scripts on purpose
+  if (!attributes.httponly && isSessionCookie(name)) missing.push("HttpOnly");
+  if (!attributes.samesite) missing.push("SameSite");
+  if (missing.length === 0) return null;
+
+  return {
+    ruleId: "insecure-cookie",
+    header: "Set-Cookie",
+    detail: `sets cookie '${name}' without ${missing.join(", ")}`,
+  };
+}
+
+// Headers that reveal server or framework versions
+const DISCLOSURE_HEADERS = [
+  "server",
+  "x-powered-by",
+  "x-aspnet-version",
+  "x-aspnetmvc-version",
+  "x-generator",
+  "x-runtime-version",
+];
+
+function checkVersionDisclosure(headers) {
+  const findings = [];
+  for (const h of headers || []) {
+    const name = h.name.toLowerCase();
+    if (!DISCLOSURE_HEADERS.includes(name)) continue;
+    // "Server: nginx" is fine; "Server: nginx/1.18.0" gives attackers a CVE list
+    if (!/\d/.test(h.value)) continue;
+    findings.push({
+      ruleId: "version-disclosure",
+      header: h.name,
+      detail: `discloses '${h.name}: ${h.value}'`,
+    });
+  }
+  return findings;
+}
+
+/**
+ * Findings for one response's headers that don't depend on the body:
+ * `[{ ruleId, header, detail }]`, where `detail` reads after "METHOD path"
+ */
+function inspectResponseHeaders(response) {
+  const headers = response.headers || [];
+  const findings = [
+    ...getHeaderValues(headers, "set-cookie").map(checkSetCookie),
+    ...checkVersionDisclosure(headers),
+  ];
+
+  // Browsers reject this exact pair, but it shows the server intends to accept
+  // credentialed requests from any site
+  const allowOrigin = getHeader(headers, "access-control-allow-origin");
+  const allowCredentials = getHeader(
+    headers,
+    "access-control-allow-credentials"
+  );
+  if (allowOrigin?.trim() === "*" && allowCredentials?.trim() === "true") {
+    findings.push({
+      ruleId: "cors-credentials-wildcard",
+      header: "Access-Control-Allow-Origin",
+      detail:
+        "allows any origin (Access-Control-Allow-Origin: *) together with Access-Control-Allow-Credentials: true",
+    });
+  }
+
+  return findings.filter(Boolean);
+}
+
+/**
+ * Protective headers a response carrying sensitive data should have but doesn't
+ */
+function getMissingProtectionHeaders(response, url) {
+  const headers = response.headers || [];
+  const missing = [];
+  if (
+    url.startsWith("https://") &&
+    !getHeader(headers, "strict-transport-security")
+  ) {
+    missing.push("Strict-Transport-Security");
+  }
+  if (getHeader(headers, "x-content-type-options")?.trim() !== "nosniff") {
+    missing.push("X-Content-Type-Options: nosniff");
+  }
+  if (!/no-store/i.test(getHeader(headers, "cache-control") || "")) {
+    missing.push("Cache-Control: no-store");
+  }
+  return missing;
+}
+
+export {
+  getHeader,
+  isSessionCookie,
+  getRequestCookieNames,
+  parseSetCookie,
+  inspectResponseHeaders,
+  getMissingProtectionHeaders,
+};
@@ -0,0 +1,277 @@
+// lib/input.js
+
+// Loads any supported input (file path, URL, raw string or parsed object) and normalizes it.
+import fs from "fs";
+import path from "path";
+import yaml from "js-yaml";
+
+import { normalizePostman } from "./parsers/postman.js";
+import { normalizeHAR } from "./parsers/har.js";
+import { isInsomniaExport, normalizeInsomnia } from "./parsers/insomnia.js";
+import {
+  isBrunoCollection,
+  parseBrunoCollection,
+  normalizeBruno,
+} from "./parsers/bruno.js";
+import {
+  isGraphQLSDL,
+  isIntrospectionResult,
+  parseGraphQLSDL,
+  parseIntrospection,
+  normalizeGraphQL,
+} from "./parsers/graphql.js";
+import { isAsyncAPI, normalizeAsyncAPI } from "./parsers/asyncapi.js";
+import {
+  scanLiveURL,
+  normalizeProbedResults,
+  fetchSpecDocument,
+} from "./parsers/live.js";
+import { dereferenceSpec } from "./dereference.js";
+import { normalizeSpec } from "./normalizer.js";
+import { consoleLogger } from "./logger.js";
+
+const SUPPORTED_INPUTS =
+  "Supported: OpenAPI/Swagger, AsyncAPI, Postman, Insomnia and HAR files (JSON or YAML), GraphQL SDL or introspection results, Bruno collection folders, or https:// URLs";
+
+function isUrl(input) {
+  return input.startsWith("http://") || input.startsWith("https://");
+}
+
+/**
+ * Detects input type with URL priority: "url", "bruno" (collection folder) or "file".
+ * File formats are detected from content, not the extension.
+ */
+function detectInputType(input) {
+  // URLs always take precedence
+  if (isUrl(input)) {
+    return "url";
+  }
+
+  const resolved = path.resolve(input);
+  if (fs.existsSync(resolved) && fs.statSync(resolved).isDirectory()) {
+    return isBrunoCollection(resolved) ? "bruno" : "unknown";
+  }
+  return "file";
+}
+
+/**
+ * Detect the format of an already-parsed document
+ */
+function detectDocumentType(doc) {
+  if (!doc || typeof doc !== "object") return "unknown";
+  if (doc.openapi || doc.swagger) return "spec";
+  if (isAsyncAPI(doc)) return "asyncapi";
+  if (Array.isArray(doc.log?.entries)) return "har";
+  if (isInsomniaExport(doc)) return "insomnia";
+  if (isIntrospectionResult(doc)) return "graphql";
+  if (
+    Array.isArray(doc.item) ||
+    /getpostman\.com/.test(doc.info?.schema || "")
+  ) {
+    return "postman";
+  }
+  return "unknown";
+}
+
+/**
+ * Describe a parsed spec's format, e.g. "openapi-3.0.3", "swagger-2.0" or "asyncapi-3.0.0"
+ */
+function describeSpecFormat(spec) {
+  if (spec.openapi) return `openapi-${spec.openapi}`;
+  if (spec.swagger) return `swagger-${spec.swagger}`;
+  if (spec.asyncapi) return `asyncapi-${spec.asyncapi}`;
+  return "unknown";
+}
+
+// Raw JSON/YAML text rather than a path: multi-line or starts like a document
+function isDocumentString(input) {
+  return /^\s*[{[]/.test(input) || input.includes("\n");
+}
+
+function parseDocumentString(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return yaml.load(text);
+  }
+}
+
+/**
+ * Normalize GraphQL SDL text
+ */
+function loadGraphQLSDL(text, { logger, source }) {
+  logger.info("🕸️  Detected GraphQL schema (SDL)");
+  try {
+    return {
+      normalized: normalizeGraphQL(parseGraphQLSDL(text)),
+      format: "graphql-sdl",
+    };
+  } catch (e) {
+    throw new Error(
+      `Could not parse GraphQL schema${source ? ` ${source}` : ""}: ${e.message}`
+    );
+  }
+}
+
+/**
+ * Normalize an already-parsed OpenAPI/AsyncAPI spec, HAR log, Postman collection, Insomnia export
+ * or GraphQL introspection result
+ */
+async function loadDocument(doc, { logger, source, postmanEnv }) {
+  switch (detectDocumentType(doc)) {
+    case "spec": {
+      logger.info("📄 Detected OpenAPI/Swagger spec");
+      const dereferenced = await dereferenceSpec(doc, { source, logger });
+      return {
+        normalized: normalizeSpec(dereferenced, { logger }),
+        format: describeSpecFormat(doc),
+      };
+    }
+    case "asyncapi": {
+      logger.info("📨 Detected AsyncAPI spec");
+      const dereferenced = await dereferenceSpec(doc, { source, logger });
+      return {
+        normalized: normalizeAsyncAPI(dereferenced),
+        format: describeSpecFormat(doc),
+      };
+    }
+    case "har":
+      logger.info("🌐 Detected HAR file");
+      return { normalized: normalizeHAR(doc), format: "har" };
+    case "postman":
+      logger.info("📦 Detected Postman Collection");
+      return {
+        normalized: normalizePostman(doc, {
+          environment: resolvePostmanEnv(postmanEnv),
+        }),
+        format: "postman",
+      };
+    case "insomnia":
+      logger.info("🌙 Detected Insomnia export");
+      return { normalized: normalizeInsomnia(doc), format: "insomnia" };
+    case "graphql":
+      logger.info("🕸️  Detected GraphQL introspection result");
+      return {
+        normalized: normalizeGraphQL(parseIntrospection(doc)),
+        format: "graphql-introspection",
+      };
+    default:
+      throw new Error(
+        `Unsupported document${source ? ` (${source})` : ""}. ${SUPPORTED_INPUTS}`
+      );
+  }
+}
+
+// Resolve a local path, failing early with a readable message
+function resolveExistingFile(input) {
+  const filePath = path.resolve(input);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+  return filePath;
+}
+
+// Environment file paths are checked up front; parsed objects pass through
+function resolvePostmanEnv(postmanEnv) {
+  return typeof postmanEnv === "string"
+    ? resolveExistingFile(postmanEnv)
+    : postmanEnv;
+}
+
+/**
+ * Load any supported input and normalize it to the OpenAPI-like shape.
+ * Returns `{ normalized, format }`; throws on unsupported or missing input.
+ * A URL serving several specs also returns `specs: [{ source, normalized, format }]`
+ * (the first is `normalized`).
+ * `postmanEnv` (environment file path or object) resolves Postman {{variables}};
+ * `probe` settings are passed to `scanLiveURL` for URLs.
+ */
+async function loadInput(
+  input,
+  { logger = consoleLogger, postmanEnv, probe } = {}
+) {
+  if (input && typeof input === "object") {
+    return loadDocument(input, { logger, postmanEnv });
+  }
+  if (typeof input !== "string" || !input.trim()) {
+    throw new Error(
+      "Please provide a file path, URL, document string or object"
+    );
+  }
+  if (!isUrl(input) && isGraphQLSDL(input)) {
+    return loadGraphQLSDL(input, { logger });
+  }
+  if (!isUrl(input) && isDocumentString(input)) {
+    return loadDocument(parseDocumentString(input), { logger, postmanEnv });
+  }
+
+  switch (detectInputType(input)) {
+    case "file": {
+      const filePath = resolveExistingFile(input);
+      const text = fs.readFileSync(filePath, "utf8");
+      if (isGraphQLSDL(text)) {
+        return loadGraphQLSDL(text, { logger, source: filePath });
+      }
+      let doc;
+      try {
+        doc = parseDocumentString(text);
+      } catch (e) {
+        throw new Error(`Could not parse ${filePath}: ${e.message}`);
+      }
+      return loadDocument(doc, { logger, source: filePath, postmanEnv });
+    }
+
+    case "bruno": {
+      logger.info("🐶 Detected Bruno collection");
+      return {
+        normalized: normalizeBruno(parseBrunoCollection(path.resolve(input))),
+        format: "bruno",
+      };
+    }
+
+    case "url": {
+      logger.info(`🌐 Scanning live API: ${input}`);
+      const liveResult = await scanLiveURL(input, { logger, ...probe });
+      if (liveResult.type === "graphql") {
+        return {
+          normalized: normalizeGraphQL(parseIntrospection(liveResult.data), {
+            introspectionUrl: liveResult.source,
+          }),
+          format: "graphql-introspection",
+        };
+      }
+      if (liveResult.type === "openapi") {
+        // $refs next to the spec on the same server are fetched like the spec itself
+        const fetchDocument = (url) =>
+          fetchSpecDocument(liveResult.client, url, logger);
+        const specs = [];
+        for (const { data, source } of liveResult.specs) {
+          const dereferenced = await dereferenceSpec(data, {
+            source,
+            logger,
+            fetchDocument,
+          });
+          specs.push({
+            source,
+            normalized: normalizeSpec(dereferenced, { logger }),
+            format: describeSpecFormat(data),
+          });
+        }
+        return {
+          normalized: specs[0].normalized,
+          format: specs[0].format,
+          ...(specs.length > 1 ? { specs } : {}),
+        };
+      }
+      return {
+        normalized: normalizeProbedResults(liveResult.data),
+        format: "live-probe",
+      };
+    }
+
+    default:
+      throw new Error(`Unsupported input: ${input}. ${SUPPORTED_INPUTS}`);
+  }
+}
+
+export { loadInput, detectInputType, describeSpecFormat, isDocumentString };
@@ -0,0 +1,307 @@
+// lib/jwt.js
+
+// Local JWT inspection for tokens seen in traffic. Tokens are decoded and
+// checked offline — nothing is ever sent to an issuer or verified remotely.
+import crypto from "crypto";
+
+import { classifyField } from "./normalizer.js";
+import { scanValues, maskValue } from "./valueScanner.js";
+
+const JWT_PATTERN = /\beyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g;
+
+// Tokens valid for longer than this are "long-lived"
+const MAX_LIFETIME_MS = 24 * 60 * 60 * 1000;
+// The same token used over a longer span than this is flagged as reused
+const REUSE_WINDOW_MS = 4 * 60 * 60 * 1000;
+
+// Keys from tutorials, framework defaults and common placeholders
+const WEAK_SECRETS = [
+  "secret",
+  "secretkey",
+  "secret-key",
+  "secret_key",
+  "mysecret",
+  "mysecretkey",
+  "my-secret",
+  "supersecret",
+  "topsecret",
+  "s3cr3t",
+  "secret123",
+  "password",
+  "changeme",
+  "change-me",
+  "default",
+  "jwt",
+  "jwtsecret",
+  "jwt-secret",
+  "jwt_secret",
+  "jwtkey",
+  "your-256-bit-secret",
+  "your_jwt_secret",
+  "your-secret-key",
+  "keyboard cat",
+  "shhhhh",
+  "key",
+  "test",
+  "admin",
+  "123456",
+  "qwerty",
+];
+
+// Registered claims say nothing about the user
+const REGISTERED_CLAIMS = ["iss", "sub", "aud", "exp", "nbf", "iat", "jti"];
+const ROLE_CLAIM_PATTERN =
+  /(?:^|[/:.])(?:roles?|groups?|permissions?|authorities|entitlements|is_?admin|admin)$/i;
+
+const HMAC_ALGORITHMS = { HS256: "sha256", HS384: "sha384", HS512: "sha512" };
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+}
+
+/**
+ * Decode a compact JWT without verifying it. Returns null for anything that isn't one.
+ */
+function decodeJwt(token) {
+  const parts = token.split(".");
+  if (parts.length !== 3) return null;
+  try {
+    const header = decodeSegment(parts[0]);
+    const payload = decodeSegment(parts[1]);
+    if (!header || typeof header !== "object") return null;
+    if (!payload || typeof payload !== "object") return null;
+    return {
+      header,
+      payload,
+      signature: parts[2],
+      signingInput: `${parts[0]}.${parts[1]}`,
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Bearer JWT from an Authorization header value, or null
+ */
+function getBearerJwt(authorization = "") {
+  const match = /^Bearer\s+(\S+)$/i.exec(authorization.trim());
+  return match && decodeJwt(match[1]) ? match[1] : null;
+}
+
+/**
+ * Every JWT-looking string in a JSON value (response bodies, live probes)
+ */
+function findJwts(value) {
+  if (typeof value === "string") {
+    return [...value.matchAll(JWT_PATTERN)]
+      .map((match) => match[0])
+      .filter((token) => decodeJwt(token));
+  }
+  if (value && typeof value === "object") {
+    return Object.values(value).flatMap(findJwts);
+  }
+  return [];
+}
+
+// Wordlist key that reproduces an HMAC signature, or null
+function findWeakSecret(decoded) {
+  const digest = HMAC_ALGORITHMS[decoded.header.alg];
+  if (!digest || !decoded.signature) return null;
+  return (
+    WEAK_SECRETS.find(
+      (secret) =>
+        crypto
+          .createHmac(digest, secret)
+          .update(decoded.signingInput)
+          .digest("base64url") === decoded.signature
+    ) || null
+  );
+}
+
+function formatDuration(ms) {
+  const hours = ms / (60 * 60 * 1000);
+  return hours >= 48
+    ? `${Math.round(hours / 24)} days`
+    : `${Math.round(hours)} hours`;
+}
+
+// Claims revealing personal data or authorization details to anyone holding the token
+function inspectClaims(payload) {
+  const personal = new Set();
+  const roles = [];
+  for (const [claim, value] of Object.entries(payload)) {
+    if (REGISTERED_CLAIMS.includes(claim)) continue;
+    if (ROLE_CLAIM_PATTERN.test(claim)) {
+      roles.push(claim);
+      continue;
+    }
+    const classification = classifyField(claim.split(/[/:]/).pop());
+    if (
+      classification &&
+      classification.confidence !== "low" &&
+      !classification.secret
+    ) {
+      personal.add(claim);
+    }
+    if (scanValues(value).some((finding) => finding.detector.kind === "pii")) {
+      personal.add(claim);
+    }
+  }
+  return { personal: [...personal], roles };
+}
+
+/**
+ * Findings for a token on its own: `[{ ruleId, detail }]`, where `detail`
+ * reads after "Bearer token <masked>". Without an `iat` claim, lifetime is
+ * measured from `capturedAt` (ms), or from now when that is unknown too.
+ */
+function inspectJwt(decoded, { capturedAt } = {}) {
+  const { header, payload } = decoded;
+  const findings = [];
+
+  if (String(header.alg).toLowerCase() === "none") {
+    findings.push({
+      ruleId: "jwt-alg-none",
+      detail: "is unsigned (alg: none)",
+    });
+  }
+
+  const weakSecret = findWeakSecret(decoded);
+  if (weakSecret) {
+    findings.push({
+      ruleId: "jwt-weak-secret",
+      detail: `is signed with ${header.alg} using the guessable key '${weakSecret}'`,
+    });
+  }
+
+  if (typeof payload.exp !== "number") {
+    findings.push({
+      ruleId: "jwt-expiry",
+      detail: "has no expiry (exp claim) and never stops working",
+    });
+  } else {
+    let from = Date.now();
+    let since = "from now";
+    if (typeof payload.iat === "number") {
+      from = payload.iat * 1000;
+      since = "after issue";
+    } else if (Number.isFinite(capturedAt)) {
+      from = capturedAt;
+      since = "after capture";
+    }
+    const lifetime = payload.exp * 1000 - from;
+    if (lifetime > MAX_LIFETIME_MS) {
+      findings.push({
+        ruleId: "jwt-expiry",
+        detail: `stays valid for ${formatDuration(lifetime)} ${since}`,
+      });
+    }
+  }
+
+  const { personal, roles } = inspectClaims(payload);
+  if (personal.length > 0 || roles.length > 0) {
+    const parts = [
+      personal.length > 0 ? `personal data (${personal.join(", ")})` : null,
+      roles.length > 0 ? `authorization data (${roles.join(", ")})` : null,
+    ].filter(Boolean);
+    findings.push({
+      ruleId: "jwt-sensitive-claims",
+      // Role claims alone are common and low-risk; personal data is readable by anyone holding the token
+      severity: personal.length > 0 ? "medium" : "low",
+      detail: `carries ${parts.join(" and ")} in readable claims`,
+    });
+  }
+
+  const missing = ["iss", "aud"].filter(
+    (claim) => payload[claim] === undefined
+  );
+  if (missing.length > 0) {
+    findings.push({
+      ruleId: "jwt-missing-claims",
+      detail: `has no ${missing.join(" or ")} claim, so other services may accept it`,
+    });
+  }
+
+  return findings;
+}
+
+/**
+ * Findings from how a token was used: `uses` is `[{ time, status }]`
+ * (time in ms, undefined when the capture has no timestamps)
+ */
+function inspectJwtUsage(decoded, uses) {
+  const findings = [];
+  const times = uses
+    .map((use) => use.time)
+    .filter((time) => Number.isFinite(time));
+
+  if (times.length > 1) {
+    const span = Math.max(...times) - Math.min(...times);
+    if (span > REUSE_WINDOW_MS) {
+      findings.push({
+        ruleId: "jwt-reuse",
+        detail: `was reused across ${formatDuration(span)} of capture (${
+          uses.length
+        } requests)`,
+      });
+    }
+  }
+
+  const { exp } = decoded.payload;
+  if (typeof exp === "number") {
+    const acceptedLate = uses.filter(
+      (use) =>
+        Number.isFinite(use.time) &&
+        use.time > exp * 1000 &&
+        use.status >= 200 &&
+        use.status < 300
+    );
+    if (acceptedLate.length > 0) {
+      findings.push({
+        ruleId: "jwt-expired-accepted",
+        detail: `was accepted ${acceptedLate.length} time(s) after it expired`,
+      });
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Summarize observed tokens for the normalized spec's `_tokens`:
+ * `[{ masked, operations, findings }]`. Raw tokens never leave this function.
+ * `observations` maps token → `{ operations: Set, uses: [{ time, status }] }`.
+ */
+function summarizeTokens(observations) {
+  const tokens = [];
+  for (const [token, { operations, uses }] of observations) {
+    const decoded = decodeJwt(token);
+    if (!decoded) continue;
+    const times = uses
+      .map((use) => use.time)
+      .filter((time) => Number.isFinite(time));
+    const capturedAt = times.length > 0 ? Math.min(...times) : undefined;
+    const findings = [
+      ...inspectJwt(decoded, { capturedAt }),
+      ...inspectJwtUsage(decoded, uses),
+    ];
+    if (findings.length === 0) continue;
+    tokens.push({
+      masked: maskValue(token),
+      operations: [...operations],
+      findings,
+    });
+  }
+  return tokens;
+}
+
+export {
+  decodeJwt,
+  getBearerJwt,
+  findJwts,
+  inspectJwt,
+  inspectJwtUsage,
+  summarizeTokens,
+  WEAK_SECRETS,
+};
@@ -0,0 +1,50 @@
+// lib/logger.js
+
+// Injectable logging. Library code never writes to the console directly:
+// the CLI passes `consoleLogger`, the programmatic API defaults to `silentLogger`.
+import chalk from "chalk";
+
+const LOG_LEVELS = ["debug", "info", "success", "warn", "error"];
+
+// 🖥️ Colored console output used by the CLI
+const consoleLogger = {
+  debug: (message) => console.log(chalk.gray(message)),
+  info: (message) => console.log(chalk.blue(message)),
+  success: (message) => console.log(chalk.green(message)),
+  warn: (message) => console.warn(chalk.yellow(message)),
+  error: (message) => console.error(chalk.red(message)),
+};
+
+// 📤 The same output on stderr, for when stdout carries a JSON or SARIF report
+const stderrLogger = {
+  debug: (message) => console.error(chalk.gray(message)),
+  info: (message) => console.error(chalk.blue(message)),
+  success: (message) => console.error(chalk.green(message)),
+  warn: (message) => console.error(chalk.yellow(message)),
+  error: (message) => console.error(chalk.red(message)),
+};
+
+// 🤫 Discards everything
+const silentLogger = Object.fromEntries(
+  LOG_LEVELS.map((level) => [level, () => {}])
+);
+
+/**
+ * Fill in missing levels so callers can pass a partial logger (e.g. just `{ warn }`)
+ * or any object with console-like methods
+ */
+function createLogger(logger) {
+  if (!logger) return silentLogger;
+  return Object.fromEntries(
+    LOG_LEVELS.map((level) => {
+      const fallback = level === "success" ? logger.info : undefined;
+      const method = logger[level] || fallback;
+      return [
+        level,
+        typeof method === "function" ? method.bind(logger) : () => {},
+      ];
+    })
+  );
+}
+
+export { consoleLogger, stderrLogger, silentLogger, createLogger };
@@ -1,7 +1,36 @@
 // lib/normalizer.js
 
 // This file handles normalization, scanning, and sensitive-field classification for OpenAPI/Swagger specs.
-import chalk from "chalk";
+import {
+  flattenSchema,
+  findLargestObject,
+  fieldNameFromPath,
+} from "./schemaWalker.js";
+import {
+  getSecuritySchemes,
+  scanSecuritySchemes,
+  checkSecurityRequirements,
+} from "./securitySchemes.js";
+import { RULES, createIssue, applyRuleConfig } from "./rules.js";
+import {
+  getInlineSuppression,
+  partitionSuppressedFields,
+} from "./suppressions.js";
+import { getSourceLocation, toPointer } from "./dereference.js";
+import { consoleLogger } from "./logger.js";
+import { scanValues } from "./valueScanner.js";
+import {
+  listReachableFields,
+  findUnprotectedMutations,
+  findUnboundedLists,
+} from "./graphql.js";
+import {
+  getInsecureServers,
+  getUnprotectedAccess,
+  hasSecurity,
+} from "./asyncapi.js";
+import { DEFAULT_CONFIG } from "./config.js";
+import { isJsonMimeType } from "./schemaInference.js";
 
 // Sensitive field patterns (shared across scanners)
 const SENSITIVE_FIELDS = {
@@ -32,6 +61,7 @@ const SENSITIVE_FIELDS = {
       "app_key",
     ],
     regulations: ["SOX", "PCI-DSS"],
+    confidence: "high",
   },
 
   // 🔐 2. Encryption & Cryptographic Keys
@@ -57,6 +87,7 @@ const SENSITIVE_FIELDS = {
       "keypair",
     ],
     regulations: ["SOX", "FISMA"],
+    confidence: "high",
   },
 
   // 💳 3. Financial & Payment Data
@@ -86,6 +117,7 @@ const SENSITIVE_FIELDS = {
       "wallet_id",
     ],
     regulations: ["PCI-DSS", "SOX", "CCPA"],
+    confidence: "high",
   },
 
   // 🧍 4. Personal Identifiers (PII)
@@ -108,6 +140,7 @@ const SENSITIVE_FIELDS = {
       "citizen_id",
     ],
     regulations: ["GDPR", "CCPA", "PIPEDA", "LGPD"],
+    confidence: "high",
   },
 
   // 🏠 5. Personal Information (General)
@@ -136,6 +169,7 @@ const SENSITIVE_FIELDS = {
       "age",
     ],
     regulations: ["GDPR", "CCPA", "PIPEDA", "LGPD"],
+    confidence: "medium",
   },
 
   // 🧬 6. Health & Biometric Information
@@ -157,6 +191,7 @@ const SENSITIVE_FIELDS = {
       "medication",
     ],
     regulations: ["HIPAA", "GDPR", "CCPA"],
+    confidence: "high",
   },
 
   // 🧩 7. System / App Tokens
@@ -181,6 +216,7 @@ const SENSITIVE_FIELDS = {
       "refresh_secret",
     ],
     regulations: ["SOX"],
+    confidence: "high",
   },
 
   // ☁️ 8. Cloud & DevOps Secrets
@@ -208,6 +244,7 @@ const SENSITIVE_FIELDS = {
       "ci_token",
     ],
     regulations: ["SOX", "FISMA"],
+    confidence: "high",
   },
 
   // 🌐 9. Network / Device Identifiers
@@ -230,6 +267,7 @@ const SENSITIVE_FIELDS = {
       "browser_fingerprint",
     ],
     regulations: ["GDPR", "CCPA", "PIPEDA"],
+    confidence: "medium",
   },
 
   // 🧱 10. Configuration / Internal System Data
@@ -256,6 +294,7 @@ const SENSITIVE_FIELDS = {
       "build_config",
     ],
     regulations: ["SOX"],
+    confidence: "low",
   },
 
   // 🤖 11. AI / ML Integrations (modern API risk surface)
@@ -273,48 +312,356 @@ const SENSITIVE_FIELDS = {
       "azure_openai_key",
     ],
     regulations: ["SOX"],
+    confidence: "high",
   },
 };
 
-// 👇 Flattened array for quick scanning
-const ALL_SENSITIVE_FIELDS = Object.values(SENSITIVE_FIELDS).flatMap(
-  (category) => category.fields
+// Common words that only sometimes denote sensitive data: always low confidence
+const AMBIGUOUS_FIELDS = new Set([
+  "name",
+  "state",
+  "country",
+  "city",
+  "age",
+  "gender",
+  "zip",
+  "location",
+  "geo",
+  "login",
+  "auth",
+  "session",
+  "cookie",
+  "client_id",
+  "expiration",
+  "cert",
+  "mac",
+  "hostname",
+  "bank_name",
+  "transaction_id",
+  "tracking_id",
+  "trace_id",
+  "employee_id",
+  "student_id",
+]);
+
+const CONFIDENCE_LEVELS = ["low", "medium", "high"];
+
+// Match confidence → severity of the resulting finding
+const CONFIDENCE_SEVERITY = { low: "low", medium: "medium", high: "high" };
+
+// Lowercase compounds with no separator to split on ("userpassword" → user, password)
+const COMPOUND_TOKENS = {
+  userpassword: ["user", "password"],
+  newpassword: ["new", "password"],
+  oldpassword: ["old", "password"],
+  currentpassword: ["current", "password"],
+  confirmpassword: ["confirm", "password"],
+  adminpassword: ["admin", "password"],
+  passwordhash: ["password", "hash"],
+  hashedpassword: ["hashed", "password"],
+};
+
+// Last tokens of fields about a value rather than the value ("passwordPolicy", "apiKeyLength")
+const METADATA_TOKENS = new Set([
+  "policy",
+  "policies",
+  "rule",
+  "rules",
+  "requirements",
+  "length",
+  "strength",
+  "format",
+  "type",
+  "enabled",
+  "required",
+]);
+
+/**
+ * Split a field name into lowercase tokens:
+ * "userSSN" → [user, ssn], "api-key" → [api, key], "address2" → [address, 2]
+ */
+function tokenizeFieldName(fieldName) {
+  return String(fieldName)
+    .replace(/([a-z])([A-Z])/g, "$1 $2")
+    .replace(/([A-Z]+)([A-Z][a-z])/g, "$1 $2")
+    .replace(/([A-Za-z])(\d)|(\d)([A-Za-z])/g, "$1$3 $2$4")
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((token) => token.toLowerCase())
+    .flatMap((token) => COMPOUND_TOKENS[token] || [token]);
+}
+
+function buildPattern(pattern, category, confidence, regulations) {
+  const tokens = tokenizeFieldName(pattern);
+  return {
+    pattern,
+    category,
+    tokens,
+    joined: tokens.join(""),
+    confidence: AMBIGUOUS_FIELDS.has(pattern) ? "low" : confidence,
+    regulations,
+  };
+}
+
+// 👇 Tokenized patterns for quick scanning
+const SENSITIVE_PATTERNS = Object.entries(SENSITIVE_FIELDS).flatMap(
+  ([categoryName, category]) =>
+    category.fields.map((field) =>
+      buildPattern(
+        field,
+        categoryName,
+        category.confidence,
+        category.regulations
+      )
+    )
 );
 
-// Updated: accept custom fields
+/**
+ * Does a pattern match a tokenized field name?
+ * - whole tokens in sequence: "card_number" matches "primaryCardNumber"
+ * - known compounds across separators: "apikey" matches "api_key" and "apiKey"
+ * Terms inside a longer token don't match ("secret" is not in "secretary");
+ * the few common lowercase compounds are split by COMPOUND_TOKENS instead.
+ */
+function matchesPattern(tokens, pattern) {
+  const size = pattern.tokens.length;
+  if (size === 0) return false;
+
+  // A match that ends right before a final metadata token ("passwordPolicy") describes the value, not holds it
+  const holdsValue = (next) =>
+    !(next === tokens.length - 1 && METADATA_TOKENS.has(tokens[next]));
+
+  for (let start = 0; start < tokens.length; start++) {
+    if (
+      start + size <= tokens.length &&
+      pattern.tokens.every((token, i) => tokens[start + i] === token) &&
+      holdsValue(start + size)
+    ) {
+      return true;
+    }
+    let joined = "";
+    for (let end = start; end < tokens.length; end++) {
+      joined += tokens[end];
+      if (joined === pattern.joined && holdsValue(end + 1)) return true;
+      if (joined.length >= pattern.joined.length) break;
+    }
+  }
+  return false;
+}
+
+/**
+ * Classify a field name against SENSITIVE_FIELDS (and custom fields, which are high confidence).
+ * Returns `{ confidence, categories, regulations, patterns }` or null when nothing matches.
+ */
+function classifyField(fieldName, customFields = []) {
+  const tokens = tokenizeFieldName(fieldName);
+  const matches = [
+    ...SENSITIVE_PATTERNS,
+    ...customFields.map((field) => buildPattern(field, "custom", "high", [])),
+  ].filter((pattern) => matchesPattern(tokens, pattern));
+
+  if (matches.length === 0) return null;
+
+  return {
+    confidence: highestConfidence(matches),
+    categories: [...new Set(matches.map((match) => match.category))],
+    regulations: [...new Set(matches.flatMap((match) => match.regulations))],
+    patterns: matches.map((match) => match.pattern),
+    secret: matches.some(
+      (match) =>
+        match.confidence !== "low" &&
+        (match.category === "custom" ||
+          SECRET_CATEGORIES.includes(match.category))
+    ),
+  };
+}
+
+// Accept custom fields
 function isSensitiveField(fieldName, customFields = []) {
-  const allPatterns = [...ALL_SENSITIVE_FIELDS, ...customFields];
-  const lowerName = fieldName.toLowerCase();
-  return allPatterns.some((pattern) =>
-    lowerName.includes(pattern.toLowerCase())
-  );
+  return classifyField(fieldName, customFields) !== null;
 }
 
-// New: Get regulatory context for sensitive fields
+// Get regulatory context for sensitive fields
 function getRegulatoryContext(fieldName) {
-  const lowerName = fieldName.toLowerCase();
-  const regulations = new Set();
+  return classifyField(fieldName)?.regulations || [];
+}
 
-  for (const [categoryName, category] of Object.entries(SENSITIVE_FIELDS)) {
-    if (
-      category.fields.some((field) => lowerName.includes(field.toLowerCase()))
-    ) {
-      category.regulations.forEach((reg) => regulations.add(reg));
+// Categories whose fields are secrets (as opposed to personal data)
+const SECRET_CATEGORIES = [
+  "credentials",
+  "encryptionKeys",
+  "systemTokens",
+  "cloudSecrets",
+  "aiIntegrations",
+];
+
+// Is this field a credential/secret rather than personal data? (ambiguous matches like "auth" are not)
+function isSecretField(fieldName, customFields = []) {
+  return classifyField(fieldName, customFields)?.secret || false;
+}
+
+// Most confident match among classified fields (`{ confidence }`)
+function highestConfidence(fields) {
+  return fields.reduce(
+    (best, field) =>
+      CONFIDENCE_LEVELS.indexOf(field.confidence) >
+      CONFIDENCE_LEVELS.indexOf(best)
+        ? field.confidence
+        : best,
+    "low"
+  );
+}
+
+// Severity for a sensitive-data finding follows its most confident field
+function severityForFields(fields) {
+  return CONFIDENCE_SEVERITY[highestConfidence(fields)];
+}
+
+// Vendor extensions that classify a field explicitly (they win over name heuristics)
+const CLASSIFICATION_KEY = "x-apishield-classification";
+const SENSITIVE_KEY = "x-sensitive";
+
+// Classification values that mark a field as explicitly not sensitive
+const PUBLIC_CLASSIFICATIONS = ["public", "none"];
+
+/**
+ * Read an explicit classification from a field's schema or parameter.
+ * Returns `false` (explicitly not sensitive), an array of categories, or null (not annotated).
+ */
+function readClassification(nodes) {
+  for (const node of nodes) {
+    if (!node || typeof node !== "object") continue;
+
+    if (CLASSIFICATION_KEY in node) {
+      const categories = [node[CLASSIFICATION_KEY]].flat().map(String);
+      return categories.some((c) => PUBLIC_CLASSIFICATIONS.includes(c))
+        ? false
+        : categories;
+    }
+    if (SENSITIVE_KEY in node) {
+      const value = node[SENSITIVE_KEY];
+      if (value === false) return false;
+      return typeof value === "string" || Array.isArray(value)
+        ? [value].flat().map(String)
+        : [];
     }
   }
+  return null;
+}
+
+// Classification for annotated fields: SENSITIVE_FIELDS categories bring their regulations
+function classifyByCategories(categories) {
+  const names = categories.length > 0 ? categories : ["custom"];
+  return {
+    confidence: "high",
+    categories: names,
+    regulations: [
+      ...new Set(
+        names.flatMap((name) => SENSITIVE_FIELDS[name]?.regulations || [])
+      ),
+    ],
+    patterns: [],
+    secret: names.some((name) => SECRET_CATEGORIES.includes(name)),
+    annotated: true,
+  };
+}
 
-  return Array.from(regulations);
+// Binary or base64 content: 3.0 `format: binary`/`byte`, 3.1 `contentEncoding`/`contentMediaType`
+function isBinarySchema(schema) {
+  return (
+    ["binary", "byte"].includes(schema.format) ||
+    Boolean(schema.contentEncoding) ||
+    (Boolean(schema.contentMediaType) &&
+      !/^text\/|json|xml/i.test(schema.contentMediaType))
+  );
 }
 
 /**
- * Normalize Swagger 2.0 specs to OpenAPI 3-like structure
+ * Classify a schema field (`{ name, schema, param? }`) using, in order:
+ * 1. x-apishield-classification / x-sensitive annotations
+ * 2. `format: password` (always a credential)
+ * 3. the field name, where binary content confirms key material (e.g. `cert`)
  */
-function normalizeSpec(spec) {
+function classifySchemaField(field, customFields = []) {
+  const schema = field.schema || {};
+
+  const annotation = readClassification([field.schema, field.param]);
+  if (annotation === false) return null;
+  if (annotation) return classifyByCategories(annotation);
+
+  if (schema.format === "password") {
+    return { ...classifyByCategories(["credentials"]), annotated: false };
+  }
+
+  const match = classifyField(field.name, customFields);
+  if (
+    match &&
+    isBinarySchema(schema) &&
+    match.categories.includes("encryptionKeys")
+  ) {
+    return { ...match, confidence: "high", secret: true };
+  }
+  return match;
+}
+
+/**
+ * Keep only sensitive fields, annotated with their classification
+ * (`confidence`, `regulations`, `secret`). Fields without a schema are classified by name.
+ */
+function classifyFields(fields, customFields = [], getName = (f) => f.name) {
+  return fields.flatMap((field) => {
+    const match =
+      field.schema || field.param
+        ? classifySchemaField(field, customFields)
+        : classifyField(getName(field), customFields);
+    return match
+      ? [
+          {
+            ...field,
+            confidence: match.confidence,
+            regulations: match.regulations,
+            secret: match.secret,
+          },
+        ]
+      : [];
+  });
+}
+
+// Compliance mode → regulation name used in SENSITIVE_FIELDS
+const COMPLIANCE_REGULATIONS = {
+  gdpr: "GDPR",
+  ccpa: "CCPA",
+  hipaa: "HIPAA",
+  pci: "PCI-DSS",
+};
+
+/**
+ * Keep only the fields regulated under the given compliance mode
+ * (fields are dotted paths by default; pass `getName` for other shapes).
+ * Classified fields carry their own `regulations`, which take precedence.
+ */
+function filterByCompliance(fields, compliance, getName = fieldNameFromPath) {
+  const regulation = COMPLIANCE_REGULATIONS[compliance];
+  const complianceFields = fields.filter((field) =>
+    (field.regulations || getRegulatoryContext(getName(field))).includes(
+      regulation
+    )
+  );
+
+  return {
+    complianceFields,
+    complianceRegulations: complianceFields.length > 0 ? [regulation] : [],
+  };
+}
+
+/**
+ * Normalize Swagger 2.0 specs to OpenAPI 3-like structure, and list
+ * OpenAPI 3.x webhooks and callbacks as `_outbound` operations
+ */
+function normalizeSpec(spec, { logger = consoleLogger } = {}) {
   if (spec.swagger && spec.swagger.startsWith("2.")) {
-    console.log(
-      chalk.yellow(
-        "⚠️  Detected Swagger 2.0 — converting to OpenAPI-like structure...\n"
-      )
+    logger.warn(
+      "⚠️  Detected Swagger 2.0 — converting to OpenAPI-like structure...\n"
     );
 
     const normalized = {
@@ -325,12 +672,22 @@ function normalizeSpec(spec) {
       _isSwagger2: true,
     };
 
+    // Swagger 2.0 describes servers as schemes + host + basePath
+    if (Array.isArray(spec.schemes) && spec.schemes.length > 0) {
+      normalized.servers = spec.schemes.map((scheme) => ({
+        url: `${scheme}://${spec.host || ""}${spec.basePath || ""}`,
+      }));
+    }
+
     const hasSecurityDefs =
       spec.securityDefinitions &&
       Object.keys(spec.securityDefinitions).length > 0;
 
     for (const [pathStr, methods] of Object.entries(spec.paths || {})) {
-      normalized.paths[pathStr] = {};
+      // Path-level parameters apply to every operation, as in 3.x
+      normalized.paths[pathStr] = methods.parameters
+        ? { parameters: methods.parameters }
+        : {};
 
       for (const [method, op] of Object.entries(methods)) {
         // Skip non-operation keys
@@ -363,7 +720,416 @@ function normalizeSpec(spec) {
     return normalized;
   }
 
-  return spec; // Assume OpenAPI 3.x
+  // OpenAPI 3.0 and 3.1 share one model; webhooks (3.1) and callbacks are
+  // gathered as outbound operations, which the REST checks don't cover
+  return { ...spec, _outbound: listOutboundOperations(spec) };
+}
+
+/**
+ * Requests the API itself sends: 3.1 `webhooks` and operation `callbacks`, as
+ * `[{ kind, name, path, method, op, pathObj, parent?, tokens }]`. `path` is the
+ * webhook name or callback URL expression; `tokens` locate the operation in the spec.
+ */
+function listOutboundOperations(spec) {
+  const outbound = [];
+  const addOperations = (pathObj, entry, tokens) => {
+    for (const method of HTTP_METHODS) {
+      const op = pathObj?.[method];
+      if (!op || typeof op !== "object") continue;
+      outbound.push({
+        ...entry,
+        method,
+        op,
+        pathObj,
+        tokens: [...tokens, method],
+      });
+    }
+  };
+
+  for (const [name, pathObj] of Object.entries(spec.webhooks || {})) {
+    addOperations(pathObj, { kind: "webhook", name, path: name }, [
+      "webhooks",
+      name,
+    ]);
+  }
+
+  for (const { path: pathStr, method, op } of listOperations(spec)) {
+    for (const [name, callback] of Object.entries(op.callbacks || {})) {
+      for (const [expression, pathObj] of Object.entries(callback || {})) {
+        addOperations(
+          pathObj,
+          {
+            kind: "callback",
+            name,
+            path: expression,
+            parent: `${method.toUpperCase()} ${pathStr}`,
+          },
+          ["paths", pathStr, method, "callbacks", name, expression]
+        );
+      }
+    }
+  }
+
+  return outbound;
+}
+
+const HTTP_METHODS = [
+  "get",
+  "put",
+  "post",
+  "delete",
+  "options",
+  "head",
+  "patch",
+  "trace",
+];
+
+/**
+ * Collect every field an operation accepts, with where it lives
+ * (query, path, header, cookie, body). Path-level parameters are inherited.
+ */
+function collectRequestFields(op, pathParameters = []) {
+  const fields = [];
+  const seen = new Set();
+
+  const addField = (field, location) => {
+    const key = `${location}:${field.path}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    fields.push({ ...field, location });
+  };
+
+  // Operation-level parameters override path-level ones with the same name + location
+  const params = new Map();
+  for (const param of [...(pathParameters || []), ...(op.parameters || [])]) {
+    if (param && param.name && param.in) {
+      params.set(`${param.in}:${param.name}`, param);
+    }
+  }
+
+  for (const param of params.values()) {
+    // Swagger 2.0 body parameter
+    if (param.in === "body") {
+      flattenSchema(param.schema, { context: "request" }).fields.forEach(
+        (field) => addField(field, "body")
+      );
+      continue;
+    }
+    addField(
+      {
+        path: param.name,
+        name: param.name,
+        schema: param.schema || param,
+        param,
+      },
+      param.in === "formData" ? "body" : param.in
+    );
+  }
+
+  // OpenAPI 3.x request bodies (any media type)
+  for (const media of Object.values(op.requestBody?.content || {})) {
+    flattenSchema(media?.schema, { context: "request" }).fields.forEach(
+      (field) => addField(field, "body")
+    );
+  }
+
+  return fields;
+}
+
+// Location of the first field's schema, falling back to the operation
+function fieldLocation(fields, fallback) {
+  return getSourceLocation(fields[0]?.schema) || fallback;
+}
+
+// Structured field entries for reports: { path, in }
+function responseField(field) {
+  return {
+    path: field.path,
+    in: "response",
+    ...(field.confidence ? { confidence: field.confidence } : {}),
+  };
+}
+
+function payloadField(field) {
+  return { ...responseField(field), in: "payload" };
+}
+
+function requestField(field) {
+  return { path: field.path, in: field.location };
+}
+
+// Mark an issue suppressed if any node carries an x-apishield-ignore for its rule
+function withInlineSuppression(issue, nodes, logger) {
+  if (issue.suppressed) return issue;
+  const suppression = getInlineSuppression(
+    nodes.filter(Boolean),
+    issue.ruleId,
+    logger
+  );
+  return suppression ? { ...issue, suppressed: suppression } : issue;
+}
+
+// Format a request field as "api_key (query)"
+function formatRequestField(field) {
+  return `${field.path} (${field.location})`;
+}
+
+// Keys whose values are sample data rather than spec structure
+const EXAMPLE_KEYS = ["example", "examples", "default", "const", "x-example"];
+
+// Maps keyed by user-chosen names: a "default" response or a property called "example" is not sample data
+const NAMED_MAPS = [
+  "responses",
+  "properties",
+  "schemas",
+  "parameters",
+  "headers",
+  "securitySchemes",
+  "callbacks",
+  "links",
+];
+
+/**
+ * Collect example/examples/default/const values from a spec as
+ * `[{ value, tokens, location, path?, method? }]`. Each source location is reported once,
+ * attributed to the first operation that uses it (operations are walked before components).
+ */
+function collectExampleValues(normalizedSpec) {
+  const examples = [];
+  const visited = new WeakSet();
+  const seenLocations = new Set();
+
+  function walk(node, tokens) {
+    if (!node || typeof node !== "object" || node._circular) return;
+    if (visited.has(node)) return;
+    visited.add(node);
+
+    const parentKey = tokens[tokens.length - 1];
+    for (const [key, child] of Object.entries(node)) {
+      const childTokens = [...tokens, key];
+      if (
+        EXAMPLE_KEYS.includes(key) &&
+        !Array.isArray(node) &&
+        !NAMED_MAPS.includes(parentKey)
+      ) {
+        const base = getSourceLocation(node);
+        const location = base
+          ? { file: base.file, pointer: base.pointer + toPointer([key]) }
+          : { file: null, pointer: toPointer(childTokens) };
+        const locationKey = `${location.file}#${location.pointer}`;
+        if (seenLocations.has(locationKey)) continue;
+        seenLocations.add(locationKey);
+
+        const inOperation =
+          tokens[0] === "paths" && HTTP_METHODS.includes(tokens[2]);
+        examples.push({
+          value: child,
+          tokens: childTokens,
+          location,
+          ...(inOperation ? { path: tokens[1], method: tokens[2] } : {}),
+        });
+        continue;
+      }
+      walk(child, childTokens);
+    }
+  }
+
+  walk(normalizedSpec.paths, ["paths"]);
+  walk(normalizedSpec, []);
+  return examples;
+}
+
+// Value detector kind → rule
+const VALUE_RULES = {
+  secret: {
+    ruleId: "secret-value",
+    message: "Secret value exposed",
+  },
+  pii: {
+    ruleId: "pii-value",
+    message: "Personal data value exposed",
+  },
+};
+
+/**
+ * Issue for a value-scanner finding (`{ detector, masked, path }`);
+ * `where` describes the value, e.g. "GET /users response body"
+ */
+function createValueIssue(
+  finding,
+  { where, fieldPath, fieldIn, fix, ...rest }
+) {
+  const { detector } = finding;
+  const { ruleId, message } = VALUE_RULES[detector.kind];
+  return createIssue(ruleId, {
+    ...rest,
+    message,
+    severity: detector.severity,
+    detail: `${where}${finding.path ? ` ('${finding.path}')` : ""}: ${
+      detector.name
+    } ${finding.masked}`,
+    fix: fix[detector.kind],
+    fields: [{ path: fieldPath, in: fieldIn }],
+    ...(detector.kind === "pii"
+      ? { regulations: SENSITIVE_FIELDS[detector.category].regulations }
+      : {}),
+  });
+}
+
+// In compliance mode, only personal data regulated under the selected framework is reported
+function isReportableValue(finding, config) {
+  if (finding.detector.kind !== "pii" || !config.compliance) return true;
+  return SENSITIVE_FIELDS[finding.detector.category].regulations.includes(
+    COMPLIANCE_REGULATIONS[config.compliance]
+  );
+}
+
+const EXAMPLE_VALUE_FIX = {
+  secret:
+    "Revoke and rotate the credential, then replace it with an obviously fake placeholder.",
+  pii: "Replace real personal data in examples with obviously fake values.",
+};
+
+const TRAFFIC_VALUE_FIX = {
+  secret:
+    "Revoke and rotate the credential, and stop sending it in request/response bodies or headers.",
+  pii: "Mask or remove personal data from API traffic that doesn't need it.",
+};
+
+// Fixes for response header findings in captured traffic
+const HEADER_FIXES = {
+  "insecure-cookie":
+    "Set Secure, HttpOnly (for session cookies) and SameSite=Lax or Strict on cookies.",
+  "cors-credentials-wildcard":
+    "Allow credentials only for an explicit allowlist of trusted origins.",
+  "version-disclosure":
+    "Remove or genericize Server/X-Powered-By headers at the app or proxy.",
+  "missing-security-headers":
+    "Send Strict-Transport-Security, X-Content-Type-Options: nosniff and Cache-Control: no-store on responses with sensitive data.",
+};
+
+const JWT_FIXES = {
+  "jwt-alg-none":
+    "Reject unsigned tokens: pin the expected algorithm when verifying (never trust the token's alg header).",
+  "jwt-weak-secret":
+    "Rotate the signing key to a long random secret (32+ bytes) or switch to an asymmetric algorithm such as RS256/ES256.",
+  "jwt-expiry":
+    "Issue short-lived access tokens (minutes to hours) with an exp claim and use refresh tokens for longer sessions.",
+  "jwt-sensitive-claims":
+    "Keep claims to opaque identifiers; JWT payloads are only base64-encoded and readable by anyone holding the token.",
+  "jwt-missing-claims":
+    "Set iss and aud when issuing tokens and validate both when accepting them.",
+  "jwt-reuse":
+    "Shorten token lifetime and rotate tokens with refresh tokens instead of reusing one bearer token for hours.",
+  "jwt-expired-accepted":
+    "Validate exp (and nbf) on every request; reject expired tokens with 401.",
+};
+
+const OUTBOUND_FIXES = {
+  "webhook-sensitive-data":
+    "Send only identifiers and let receivers fetch details through an authenticated API call, or encrypt sensitive fields.",
+  "webhook-signature-missing":
+    "Sign every delivery (e.g. an HMAC-SHA256 signature header with a timestamp) and document the header so receivers can verify it.",
+};
+
+// Headers that let a receiver verify who sent a webhook
+const SIGNATURE_HEADER_PATTERN = /signature|hmac/i;
+
+const GRAPHQL_FIXES = {
+  "graphql-mutation-auth":
+    "Add an auth directive (e.g. @auth) to the mutation or the Mutation type, or list your directive in graphqlAuthDirectives.",
+  "graphql-introspection":
+    "Disable introspection in production, or restrict it to authenticated internal clients.",
+  "graphql-unbounded-list":
+    "Add pagination arguments (first/after or limit/offset) with a server-side maximum, or return a connection type.",
+};
+
+const ASYNCAPI_FIXES = {
+  "missing-auth":
+    "Add a 'security' requirement to the server(s) or the operation.",
+  "message-credentials":
+    "Authenticate at the connection (server security) instead of sending credentials in message payloads.",
+  "sensitive-data":
+    "Remove or mask sensitive fields from the message payload, or encrypt them end-to-end.",
+};
+
+// Where a captured value was found, for issue details
+const TRAFFIC_LOCATIONS = {
+  body: "request body",
+  header: "request header",
+  response: "response body",
+  "response-header": "response header",
+};
+
+// Plain-HTTP servers (local development hosts excluded)
+function isInsecureServer(url = "") {
+  const lower = url.toLowerCase();
+  return (
+    lower.startsWith("http://") &&
+    !/^http:\/\/(localhost|127\.0\.0\.1|\[::1\])(:|\/|$)/.test(lower)
+  );
+}
+
+/**
+ * List every operation in a normalized spec as `{ path, method, op, pathObj }`
+ */
+function listOperations(normalizedSpec) {
+  const operations = [];
+  for (const [pathStr, pathObj] of Object.entries(normalizedSpec.paths || {})) {
+    for (const [method, op] of Object.entries(pathObj || {})) {
+      if (!HTTP_METHODS.includes(method) || !op || typeof op !== "object") {
+        continue;
+      }
+      operations.push({ path: pathStr, method, op, pathObj });
+    }
+  }
+  return operations;
+}
+
+// Operation-level security replaces the global block (even when empty)
+function getEffectiveSecurity(op, normalizedSpec) {
+  return op.security !== undefined ? op.security : normalizedSpec.security;
+}
+
+// Does a security requirement array actually require credentials?
+function requiresAuth(security) {
+  return (
+    Array.isArray(security) &&
+    security.some(
+      (req) => typeof req === "string" || Object.keys(req || {}).length > 0
+    )
+  );
+}
+
+// Login, health, docs and similar endpoints are expected to be public
+function isLikelyPublicPath(pathStr) {
+  return /login|register|signup|auth|public|health|status|metrics|healthz|readiness|version|openapi\.json|swagger\.json/i.test(
+    pathStr
+  );
+}
+
+/**
+ * JSON schemas of an operation's 2xx responses as `[{ status, schema }]`
+ */
+function getSuccessResponseSchemas(op) {
+  const schemas = [];
+  for (const [status, res] of Object.entries(op.responses || {})) {
+    if (!status.startsWith("2") || !res) continue;
+
+    let schema = null;
+    // OpenAPI 3.x: the first JSON media type (charset parameters, problem+json, vendor +json)
+    const jsonType = Object.keys(res.content || {}).find(isJsonMimeType);
+    if (jsonType) {
+      schema = res.content[jsonType].schema;
+    }
+    // Swagger 2.0
+    else if (res.schema) {
+      schema = res.schema;
+    }
+
+    if (schema) schemas.push({ status, schema });
+  }
+  return schemas;
 }
 
 // Helper: check if path matches ignore pattern (supports *)
@@ -383,227 +1149,714 @@ function shouldIgnorePath(pathStr, ignorePaths) {
  */
 function scanSpec(
   normalizedSpec,
-  config = { ignorePaths: [], customSensitiveFields: [] }
+  config = { ignorePaths: [], customSensitiveFields: [] },
+  { logger = consoleLogger } = {}
 ) {
   const issues = [];
-  const paths = normalizedSpec.paths || {};
+  const schemes = getSecuritySchemes(normalizedSpec);
 
-  for (const [pathStr, pathObj] of Object.entries(paths)) {
+  // Push a field-level finding; fields tagged with x-apishield-ignore
+  // are split into a separate issue marked as suppressed
+  const pushFieldIssues = (ruleId, fields, build) => {
+    const { active, suppressed } = partitionSuppressedFields(
+      fields,
+      ruleId,
+      logger
+    );
+    if (active.length > 0) issues.push(build(active));
+    suppressed.forEach((group) =>
+      issues.push({ ...build(group.fields), suppressed: group.suppression })
+    );
+  };
+
+  // 🛡️ Check: Security scheme quality
+  issues.push(
+    ...scanSecuritySchemes(normalizedSpec).map((issue) =>
+      withInlineSuppression(issue, [schemes[issue.scheme]], logger)
+    )
+  );
+
+  // 🔍 Example/default values, grouped by operation ("METHOD path" or "" for spec-level)
+  const examplesByOperation = new Map();
+  if (!normalizedSpec._source) {
+    for (const example of collectExampleValues(normalizedSpec)) {
+      const key = example.method
+        ? `${example.method.toUpperCase()} ${example.path}`
+        : "";
+      if (!examplesByOperation.has(key)) examplesByOperation.set(key, []);
+      examplesByOperation.get(key).push(example);
+    }
+  }
+
+  // 🔑 Check: Real secrets / personal data in example values
+  const pushExampleIssues = (examples, opInfo = {}) => {
+    for (const example of examples) {
+      // Field paths are relative to the operation when there is one
+      const prefix = example.tokens.slice(example.method ? 3 : 0).join(".");
+      for (const finding of scanValues(example.value)) {
+        if (!isReportableValue(finding, config)) continue;
+        issues.push(
+          createValueIssue(finding, {
+            ...opInfo,
+            where: opInfo.method
+              ? `${opInfo.method} ${opInfo.path} example`
+              : `Example at ${example.location.pointer}`,
+            fieldPath: finding.path ? `${prefix}.${finding.path}` : prefix,
+            fieldIn: "example",
+            fix: EXAMPLE_VALUE_FIX,
+            location: example.location,
+          })
+        );
+      }
+    }
+  };
+
+  for (const { path: pathStr, method, op, pathObj } of listOperations(
+    normalizedSpec
+  )) {
     // ✅ Skip ignored paths
     if (shouldIgnorePath(pathStr, config.ignorePaths)) {
       continue;
     }
 
-    for (const [method, op] of Object.entries(pathObj)) {
-      if (typeof op !== "object") continue;
+    const firstOpIssue = issues.length;
+    const opId = `${method.toUpperCase()} ${pathStr}`;
+    const opInfo = { method: method.toUpperCase(), path: pathStr };
 
-      const opId = `${method.toUpperCase()} ${pathStr}`;
+    // 📍 Where the operation is defined (spec inputs only — HAR/Postman/probes have no pointers)
+    const opLocation =
+      getSourceLocation(op) ||
+      (normalizedSpec._source
+        ? undefined
+        : { file: null, pointer: toPointer(["paths", pathStr, method]) });
 
-      // 🔒 Check: Missing authentication
-      const hasSecurity =
-        (Array.isArray(op.security) && op.security.length > 0) ||
-        (Array.isArray(normalizedSpec.security) &&
-          normalizedSpec.security.length > 0);
-
-      const isLikelyPublic =
-        /login|register|signup|auth|public|health|status|metrics|healthz|readiness|version|openapi\.json|swagger\.json/i.test(
-          pathStr
-        );
+    // 🔒 Check: Missing authentication
+    const security = getEffectiveSecurity(op, normalizedSpec);
+    const hasSecurity = requiresAuth(security);
 
-      if (!hasSecurity && !isLikelyPublic) {
-        issues.push({
-          severity: "high",
+    if (!hasSecurity && !isLikelyPublicPath(pathStr)) {
+      issues.push(
+        createIssue("missing-auth", {
+          ...opInfo,
           message: "Missing authentication",
           detail: `Endpoint ${opId} has no security scheme defined.`,
           fix: "Add a 'security' block to the operation or global spec.",
-        });
-      }
+          location: opLocation,
+        })
+      );
+    }
 
-      // 👁️ Check: Sensitive data in responses
-      const responses = op.responses || {};
-      for (const [status, res] of Object.entries(responses)) {
-        if (!status.startsWith("2")) continue;
+    // 🎭 Check: Captured calls succeeding with and without credentials (HAR)
+    if (op._auth?.authenticated > 0 && op._auth.anonymousSuccess > 0) {
+      issues.push(
+        createIssue("mixed-auth", {
+          ...opInfo,
+          message: "Authentication not enforced",
+          detail: `${opId} succeeded without credentials in ${op._auth.anonymousSuccess} of ${op._samples} captured request(s), but other calls sent them`,
+          fix: "Reject unauthenticated requests (401) on every call, or document the endpoint as public.",
+        })
+      );
+    }
 
-        let schema = null;
-        // OpenAPI 3.x
-        if (res.content && res.content["application/json"]) {
-          schema = res.content["application/json"].schema;
-        }
-        // Swagger 2.0
-        else if (res.schema) {
-          schema = res.schema;
-        }
+    // 🛂 Check: Optional auth and undefined scheme references
+    issues.push(
+      ...checkSecurityRequirements(opId, security, schemes, opLocation).map(
+        (issue) => ({ ...issue, ...opInfo })
+      )
+    );
 
-        if (!schema) continue;
-
-        const findSensitiveFields = (
-          obj,
-          prefix = "",
-          customFields = config.customSensitiveFields
-        ) => {
-          let fields = [];
-          if (obj && typeof obj === "object" && !Array.isArray(obj)) {
-            for (const [key, value] of Object.entries(obj)) {
-              const fullName = prefix ? `${prefix}.${key}` : key;
-              if (isSensitiveField(key, customFields)) {
-                fields.push(fullName);
-              }
-              if (value && typeof value === "object") {
-                fields = fields.concat(
-                  findSensitiveFields(value, fullName, customFields)
-                );
-              }
-            }
-          }
-          return fields;
-        };
+    // 👁️ Check: Sensitive data in responses
+    let returnsSensitiveData = false;
+    for (const { schema } of getSuccessResponseSchemas(op)) {
+      const sensitiveFields = classifyFields(
+        flattenSchema(schema, { context: "response" }).fields,
+        config.customSensitiveFields
+      );
+      if (sensitiveFields.length > 0) returnsSensitiveData = true;
 
-        const sensitiveFields = findSensitiveFields(schema);
-        if (sensitiveFields.length > 0) {
-          // Check if compliance mode is enabled
-          if (config.compliance) {
-            const complianceRegulations = new Set();
-            const complianceFields = [];
-
-            // Get regulatory context for each sensitive field
-            for (const field of sensitiveFields) {
-              const fieldName = field.split(".").pop(); // Get the actual field name
-              const regulations = getRegulatoryContext(fieldName);
-
-              // Filter by compliance mode (e.g., 'gdpr' only shows GDPR-regulated fields)
-              if (
-                config.compliance === "gdpr" &&
-                regulations.includes("GDPR")
-              ) {
-                complianceRegulations.add("GDPR");
-                complianceFields.push(field);
-              } else if (
-                config.compliance === "ccpa" &&
-                regulations.includes("CCPA")
-              ) {
-                complianceRegulations.add("CCPA");
-                complianceFields.push(field);
-              } else if (
-                config.compliance === "hipaa" &&
-                regulations.includes("HIPAA")
-              ) {
-                complianceRegulations.add("HIPAA");
-                complianceFields.push(field);
-              } else if (
-                config.compliance === "pci" &&
-                regulations.includes("PCI-DSS")
-              ) {
-                complianceRegulations.add("PCI-DSS");
-                complianceFields.push(field);
-              }
-            }
-
-            // Only report if there are compliance-relevant fields
-            if (complianceFields.length > 0) {
-              issues.push({
-                severity: "high",
-                message: `${config.compliance.toUpperCase()} compliance violation`,
-                detail: `${opId} exposes ${config.compliance.toUpperCase()}-regulated data: ${complianceFields.join(
-                  ", "
-                )}`,
-                fix: `Remove or mask ${config.compliance.toUpperCase()}-regulated fields from the response schema.`,
-                regulations: Array.from(complianceRegulations),
-              });
-            }
-          } else {
-            // Standard mode - report all sensitive fields
-            issues.push({
-              severity: "high",
+      if (sensitiveFields.length > 0) {
+        // Check if compliance mode is enabled
+        if (config.compliance) {
+          const { complianceFields, complianceRegulations } =
+            filterByCompliance(
+              sensitiveFields,
+              config.compliance,
+              (field) => field.name
+            );
+
+          // Only report if there are compliance-relevant fields
+          if (complianceFields.length > 0) {
+            pushFieldIssues(
+              "compliance-violation",
+              complianceFields,
+              (fields) =>
+                createIssue("compliance-violation", {
+                  ...opInfo,
+                  message: `${config.compliance.toUpperCase()} compliance violation`,
+                  detail: `${opId} exposes ${config.compliance.toUpperCase()}-regulated data: ${fields
+                    .map((field) => field.path)
+                    .join(", ")}`,
+                  fix: `Remove or mask ${config.compliance.toUpperCase()}-regulated fields from the response schema.`,
+                  regulations: complianceRegulations,
+                  fields: fields.map(responseField),
+                  location: fieldLocation(fields, opLocation),
+                })
+            );
+          }
+        } else {
+          // Standard mode - report all sensitive fields
+          pushFieldIssues("sensitive-data", sensitiveFields, (fields) =>
+            createIssue("sensitive-data", {
+              ...opInfo,
               message: "Sensitive data exposed in response",
-              detail: `${opId} returns: ${sensitiveFields.join(", ")}`,
+              detail: `${opId} returns: ${fields
+                .map((field) => field.path)
+                .join(", ")}`,
               fix: "Remove or mask sensitive fields from the response schema.",
-            });
-          }
+              severity: severityForFields(fields),
+              fields: fields.map(responseField),
+              location: fieldLocation(fields, opLocation),
+            })
+          );
         }
+      }
 
-        // 📊 Check: Excessive data exposure (>20 fields)
-        if (schema?.properties) {
-          const fieldCount = Object.keys(schema.properties).length;
-          if (fieldCount > 20) {
-            issues.push({
-              severity: "medium",
-              message: "Excessive data exposure",
-              detail: `${opId} returns ${fieldCount} fields in response`,
-              fix: "Reduce response fields or implement field filtering (e.g., ?fields=id,name)",
-            });
-          }
+      // 📊 Check: Excessive data exposure (>20 fields in any object, including wrapped ones)
+      const largest = findLargestObject(schema, { context: "response" });
+      if (largest && largest.fieldCount > 20) {
+        const location = largest.path ? ` (in '${largest.path}')` : "";
+        issues.push(
+          createIssue("excessive-data", {
+            ...opInfo,
+            message: "Excessive data exposure",
+            detail: `${opId} returns ${largest.fieldCount} fields in response${location}`,
+            fix: "Reduce response fields or implement field filtering (e.g., ?fields=id,name)",
+            location: getSourceLocation(schema) || opLocation,
+          })
+        );
+      }
+    }
+
+    // 📥 Check: Sensitive data in requests (parameters & bodies)
+    const sensitiveRequestFields = classifyFields(
+      collectRequestFields(op, pathObj.parameters),
+      config.customSensitiveFields
+    );
+
+    // 🔑 Secrets in query strings end up in access logs, proxies and browser history
+    const querySecrets = sensitiveRequestFields.filter(
+      (field) => field.location === "query" && field.secret
+    );
+    if (querySecrets.length > 0) {
+      pushFieldIssues("query-secret", querySecrets, (fields) =>
+        createIssue("query-secret", {
+          ...opInfo,
+          message: "Secret passed in query string",
+          detail: `${opId} accepts ${fields
+            .map(formatRequestField)
+            .join(", ")}`,
+          fix: "Send credentials in a header (e.g. Authorization) or request body, never in the URL.",
+          fields: fields.map(requestField),
+          location: fieldLocation(fields, opLocation),
+        })
+      );
+    }
+
+    // 🔓 Check: Sensitive request data accepted over plain HTTP
+    const servers = op.servers || pathObj.servers || normalizedSpec.servers;
+    const insecureServers = (servers || [])
+      .map((server) => server.url)
+      .filter(isInsecureServer);
+    if (insecureServers.length > 0 && sensitiveRequestFields.length > 0) {
+      pushFieldIssues("insecure-transport", sensitiveRequestFields, (fields) =>
+        createIssue("insecure-transport", {
+          ...opInfo,
+          message: "Sensitive data sent over insecure transport",
+          detail: `${opId} accepts ${fields
+            .map(formatRequestField)
+            .join(", ")} via non-TLS server(s): ${insecureServers.join(", ")}`,
+          fix: "Serve the API over HTTPS only and remove http:// servers from the spec.",
+          fields: fields.map(requestField),
+          location: opLocation,
+        })
+      );
+    }
+
+    // 🏛️ Check: Regulated data collected by the endpoint (compliance mode)
+    if (config.compliance && sensitiveRequestFields.length > 0) {
+      const { complianceFields, complianceRegulations } = filterByCompliance(
+        sensitiveRequestFields,
+        config.compliance,
+        (field) => field.name
+      );
+
+      if (complianceFields.length > 0) {
+        pushFieldIssues("compliance-violation", complianceFields, (fields) =>
+          createIssue("compliance-violation", {
+            ...opInfo,
+            message: `${config.compliance.toUpperCase()} compliance violation`,
+            detail: `${opId} collects ${config.compliance.toUpperCase()}-regulated data: ${fields
+              .map(formatRequestField)
+              .join(", ")}`,
+            fix: `Collect only the ${config.compliance.toUpperCase()}-regulated fields the endpoint needs and document their lawful basis.`,
+            regulations: complianceRegulations,
+            fields: fields.map(requestField),
+            location: fieldLocation(fields, opLocation),
+          })
+        );
+      }
+    }
+
+    pushExampleIssues(examplesByOperation.get(opId) || [], opInfo);
+
+    // 🔑 Check: Secrets / personal data captured in traffic (HAR)
+    for (const finding of op._valueFindings || []) {
+      if (!isReportableValue(finding, config)) continue;
+      issues.push(
+        createValueIssue(finding, {
+          ...opInfo,
+          where: `${opId} ${TRAFFIC_LOCATIONS[finding.in]}`,
+          fieldPath: finding.path,
+          fieldIn: finding.in,
+          fix: TRAFFIC_VALUE_FIX,
+        })
+      );
+    }
+
+    // 🍪 Check: Cookie flags, CORS and version disclosure in captured responses (HAR)
+    for (const finding of op._headerFindings || []) {
+      issues.push(
+        createIssue(finding.ruleId, {
+          ...opInfo,
+          message: RULES[finding.ruleId].name,
+          detail: `${opId} ${finding.detail}`,
+          fix: HEADER_FIXES[finding.ruleId],
+          fields: [{ path: finding.header, in: "response-header" }],
+        })
+      );
+    }
+
+    // 🧢 Check: Sensitive responses without protective headers (HAR)
+    const sensitiveValues = (op._valueFindings || []).some(
+      (finding) => finding.in === "response"
+    );
+    if (
+      op._missingHeaders?.length > 0 &&
+      (returnsSensitiveData || sensitiveValues)
+    ) {
+      issues.push(
+        createIssue("missing-security-headers", {
+          ...opInfo,
+          message: RULES["missing-security-headers"].name,
+          detail: `${opId} returns sensitive data without ${op._missingHeaders.join(
+            ", "
+          )}`,
+          fix: HEADER_FIXES["missing-security-headers"],
+          fields: op._missingHeaders.map((header) => ({
+            path: header.split(":")[0],
+            in: "response-header",
+          })),
+        })
+      );
+    }
+
+    // 🙈 Operation- and path-level x-apishield-ignore
+    for (let i = firstOpIssue; i < issues.length; i++) {
+      issues[i] = withInlineSuppression(issues[i], [op, pathObj], logger);
+    }
+  }
+
+  // 🕸️ GraphQL schemas: root fields stand in for operations ("QUERY user", "MUTATION deleteUser")
+  const graphql = normalizedSpec._graphql;
+  if (graphql) {
+    // 👁️ Check: Sensitive fields reachable from Query
+    for (const { root, fields } of listReachableFields(graphql)) {
+      if (shouldIgnorePath(root.name, config.ignorePaths)) continue;
+      const opInfo = { method: "QUERY", path: root.name };
+      const opId = `${graphql.queryType}.${root.name}`;
+      const sensitiveFields = classifyFields(
+        fields,
+        config.customSensitiveFields
+      );
+      if (sensitiveFields.length === 0) continue;
+
+      if (config.compliance) {
+        const { complianceFields, complianceRegulations } = filterByCompliance(
+          sensitiveFields,
+          config.compliance,
+          (field) => field.name
+        );
+        if (complianceFields.length > 0) {
+          pushFieldIssues("compliance-violation", complianceFields, (fields) =>
+            createIssue("compliance-violation", {
+              ...opInfo,
+              message: `${config.compliance.toUpperCase()} compliance violation`,
+              detail: `${opId} exposes ${config.compliance.toUpperCase()}-regulated data: ${fields
+                .map((field) => field.path)
+                .join(", ")}`,
+              fix: `Remove ${config.compliance.toUpperCase()}-regulated fields from the schema or guard them with field-level authorization.`,
+              regulations: complianceRegulations,
+              fields: fields.map(responseField),
+            })
+          );
         }
+      } else {
+        pushFieldIssues("sensitive-data", sensitiveFields, (fields) =>
+          createIssue("sensitive-data", {
+            ...opInfo,
+            message: "Sensitive data exposed in response",
+            detail: `${opId} can return: ${fields
+              .map((field) => field.path)
+              .join(", ")}`,
+            fix: "Remove sensitive fields from the schema or guard them with field-level authorization.",
+            severity: severityForFields(fields),
+            fields: fields.map(responseField),
+          })
+        );
       }
+    }
 
-      // Handle probed endpoints (from HAR/live scan)
-      if (op._probed && op._sensitiveFields && op._sensitiveFields.length > 0) {
-        // Check if compliance mode is enabled for probed endpoints
-        if (config.compliance) {
-          const complianceRegulations = new Set();
-          const complianceFields = [];
-
-          // Get regulatory context for each sensitive field
-          for (const field of op._sensitiveFields) {
-            const fieldName = field.split(".").pop(); // Get the actual field name
-            const regulations = getRegulatoryContext(fieldName);
-
-            // Filter by compliance mode
-            if (config.compliance === "gdpr" && regulations.includes("GDPR")) {
-              complianceRegulations.add("GDPR");
-              complianceFields.push(field);
-            } else if (
-              config.compliance === "ccpa" &&
-              regulations.includes("CCPA")
-            ) {
-              complianceRegulations.add("CCPA");
-              complianceFields.push(field);
-            } else if (
-              config.compliance === "hipaa" &&
-              regulations.includes("HIPAA")
-            ) {
-              complianceRegulations.add("HIPAA");
-              complianceFields.push(field);
-            } else if (
-              config.compliance === "pci" &&
-              regulations.includes("PCI-DSS")
-            ) {
-              complianceRegulations.add("PCI-DSS");
-              complianceFields.push(field);
-            }
-          }
+    // 🔒 Check: Mutations without an auth directive (SDL only)
+    for (const field of findUnprotectedMutations(
+      graphql,
+      config.graphqlAuthDirectives || DEFAULT_CONFIG.graphqlAuthDirectives
+    )) {
+      if (shouldIgnorePath(field.name, config.ignorePaths)) continue;
+      if (isLikelyPublicPath(field.name)) continue;
+      issues.push(
+        createIssue("graphql-mutation-auth", {
+          method: "MUTATION",
+          path: field.name,
+          message: RULES["graphql-mutation-auth"].name,
+          detail: `${graphql.mutationType}.${field.name} has no auth directive`,
+          fix: GRAPHQL_FIXES["graphql-mutation-auth"],
+        })
+      );
+    }
 
-          // Only report if there are compliance-relevant fields
+    // 📜 Check: List fields with no way to bound the result size
+    for (const { type, field } of findUnboundedLists(graphql)) {
+      const opInfo =
+        type === graphql.queryType
+          ? { method: "QUERY", path: field.name }
+          : { path: `${type}.${field.name}` };
+      if (shouldIgnorePath(opInfo.path, config.ignorePaths)) continue;
+      issues.push(
+        createIssue("graphql-unbounded-list", {
+          ...opInfo,
+          message: RULES["graphql-unbounded-list"].name,
+          detail: `${type}.${field.name} returns a list with no pagination argument (first, limit, ...)`,
+          fix: GRAPHQL_FIXES["graphql-unbounded-list"],
+        })
+      );
+    }
+  }
+
+  // 📨 AsyncAPI: channel operations stand in for endpoints ("SUBSCRIBE user/signedup", "SEND orders")
+  const asyncapi = normalizedSpec._asyncapi;
+  if (asyncapi) {
+    for (const operation of asyncapi.operations) {
+      if (shouldIgnorePath(operation.channel, config.ignorePaths)) continue;
+
+      const firstOpIssue = issues.length;
+      const opInfo = {
+        method: operation.action.toUpperCase(),
+        path: operation.channel,
+      };
+      const opId = `${opInfo.method} ${operation.channel}`;
+      const opLocation = getSourceLocation(operation.node);
+
+      // 🔒 Check: Channel usable without credentials
+      const access = getUnprotectedAccess(operation);
+      if (access && !isLikelyPublicPath(operation.channel)) {
+        issues.push(
+          createIssue("missing-auth", {
+            ...opInfo,
+            message: "Missing authentication",
+            detail:
+              access.servers.length > 0
+                ? `Channel ${opId} has no security requirement on server(s): ${access.servers.join(
+                    ", "
+                  )}`
+                : `Channel ${opId} has no security requirement defined.`,
+            fix: ASYNCAPI_FIXES["missing-auth"],
+            location: opLocation,
+          })
+        );
+      }
+
+      for (const [index, message] of operation.messages.entries()) {
+        // Unnamed messages are numbered when the operation has several
+        const label =
+          message.name ||
+          (operation.messages.length > 1 ? `#${index + 1}` : null);
+        const where = label ? `${opId} message ${label}` : opId;
+        const sensitiveFields = classifyFields(
+          flattenSchema(message.payload).fields,
+          config.customSensitiveFields
+        );
+        const messageLocation = getSourceLocation(message.node) || opLocation;
+
+        // 🔑 Check: Credentials carried in the payload
+        const credentials = sensitiveFields.filter((field) => field.secret);
+        if (credentials.length > 0) {
+          pushFieldIssues("message-credentials", credentials, (fields) =>
+            createIssue("message-credentials", {
+              ...opInfo,
+              message: RULES["message-credentials"].name,
+              detail: `${where} carries: ${fields
+                .map((field) => field.path)
+                .join(", ")}`,
+              fix: ASYNCAPI_FIXES["message-credentials"],
+              fields: fields.map(payloadField),
+              location: fieldLocation(fields, messageLocation),
+            })
+          );
+        }
+
+        // 👁️ Check: Personal and other sensitive data in the payload
+        if (config.compliance) {
+          const { complianceFields, complianceRegulations } =
+            filterByCompliance(
+              sensitiveFields,
+              config.compliance,
+              (field) => field.name
+            );
           if (complianceFields.length > 0) {
-            issues.push({
-              severity: "high",
-              message: `${config.compliance.toUpperCase()} compliance violation`,
-              detail: `${opId} exposes ${config.compliance.toUpperCase()}-regulated data: ${complianceFields.join(
-                ", "
-              )}`,
-              fix: `Remove or mask ${config.compliance.toUpperCase()}-regulated fields from the response.`,
-              regulations: Array.from(complianceRegulations),
-            });
+            pushFieldIssues(
+              "compliance-violation",
+              complianceFields,
+              (fields) =>
+                createIssue("compliance-violation", {
+                  ...opInfo,
+                  message: `${config.compliance.toUpperCase()} compliance violation`,
+                  detail: `${where} carries ${config.compliance.toUpperCase()}-regulated data: ${fields
+                    .map((field) => field.path)
+                    .join(", ")}`,
+                  fix: `Remove or encrypt ${config.compliance.toUpperCase()}-regulated fields in the message payload.`,
+                  regulations: complianceRegulations,
+                  fields: fields.map(payloadField),
+                  location: fieldLocation(fields, messageLocation),
+                })
+            );
           }
         } else {
-          // Standard mode - report all sensitive fields
-          issues.push({
-            severity: "high",
-            message: "Sensitive data exposed in response",
-            detail: `${opId} returns: ${op._sensitiveFields.join(", ")}`,
-            fix: "Remove or mask sensitive fields from the response.",
-          });
+          const personalFields = sensitiveFields.filter(
+            (field) => !field.secret
+          );
+          if (personalFields.length > 0) {
+            pushFieldIssues("sensitive-data", personalFields, (fields) =>
+              createIssue("sensitive-data", {
+                ...opInfo,
+                message: "Sensitive data in message payload",
+                detail: `${where} carries: ${fields
+                  .map((field) => field.path)
+                  .join(", ")}`,
+                fix: ASYNCAPI_FIXES["sensitive-data"],
+                severity: severityForFields(fields),
+                fields: fields.map(payloadField),
+                location: fieldLocation(fields, messageLocation),
+              })
+            );
+          }
         }
       }
+
+      // 🙈 x-apishield-ignore on the operation
+      for (let i = firstOpIssue; i < issues.length; i++) {
+        issues[i] = withInlineSuppression(issues[i], [operation.node], logger);
+      }
     }
+
+    // 🔓 Check: Servers speaking plaintext protocols
+    for (const { server, protocol, secureProtocol } of getInsecureServers(
+      asyncapi.servers
+    )) {
+      const authenticated = hasSecurity(server.security);
+      issues.push(
+        withInlineSuppression(
+          createIssue("insecure-protocol", {
+            path: server.url,
+            message: RULES["insecure-protocol"].name,
+            detail: `Server '${server.name}' (${server.url}) uses ${protocol} without TLS${
+              authenticated
+                ? ", so credentials cross the network in cleartext"
+                : ""
+            }`,
+            fix: `Switch to ${secureProtocol} (TLS) and remove plaintext servers from the spec.`,
+            // Credentials sent in cleartext can be replayed by anyone on the path
+            ...(authenticated ? { severity: "high" } : {}),
+            location: getSourceLocation(server.node),
+          }),
+          [server.node],
+          logger
+        )
+      );
+    }
+  }
+
+  // 🔎 Check: Live GraphQL endpoint answering introspection
+  if (normalizedSpec._graphqlIntrospection) {
+    const url = normalizedSpec._graphqlIntrospection;
+    issues.push(
+      createIssue("graphql-introspection", {
+        method: "POST",
+        path: new URL(url).pathname,
+        message: RULES["graphql-introspection"].name,
+        detail: `${url} answers the introspection query, handing the full schema to any client`,
+        fix: GRAPHQL_FIXES["graphql-introspection"],
+      })
+    );
   }
 
-  return issues;
+  // 📤 Webhooks and callbacks: requests the API sends to subscriber URLs
+  for (const outbound of normalizedSpec._outbound || []) {
+    if (
+      shouldIgnorePath(outbound.path, config.ignorePaths) ||
+      (outbound.parent &&
+        shouldIgnorePath(outbound.parent.split(" ")[1], config.ignorePaths))
+    ) {
+      continue;
+    }
+
+    const firstOpIssue = issues.length;
+    const opInfo = {
+      method: outbound.method.toUpperCase(),
+      path: outbound.path,
+    };
+    const label =
+      outbound.kind === "webhook"
+        ? `Webhook ${outbound.name} (${opInfo.method})`
+        : `Callback ${outbound.name} of ${outbound.parent} (${opInfo.method} ${outbound.path})`;
+    const opLocation = getSourceLocation(outbound.op) || {
+      file: null,
+      pointer: toPointer(outbound.tokens),
+    };
+    const requestFields = collectRequestFields(
+      outbound.op,
+      outbound.pathObj.parameters
+    );
+
+    // 📦 Check: Sensitive data in payloads sent to third-party URLs
+    const sensitivePayload = classifyFields(
+      requestFields.filter((field) => field.location === "body"),
+      config.customSensitiveFields
+    );
+    if (config.compliance) {
+      const { complianceFields, complianceRegulations } = filterByCompliance(
+        sensitivePayload,
+        config.compliance,
+        (field) => field.name
+      );
+      if (complianceFields.length > 0) {
+        pushFieldIssues("compliance-violation", complianceFields, (fields) =>
+          createIssue("compliance-violation", {
+            ...opInfo,
+            message: `${config.compliance.toUpperCase()} compliance violation`,
+            detail: `${label} sends ${config.compliance.toUpperCase()}-regulated data: ${fields
+              .map(formatRequestField)
+              .join(", ")}`,
+            fix: `Send ${config.compliance.toUpperCase()}-regulated fields to receivers only when they need them, and document the transfer.`,
+            regulations: complianceRegulations,
+            fields: fields.map(requestField),
+            location: fieldLocation(fields, opLocation),
+          })
+        );
+      }
+    } else if (sensitivePayload.length > 0) {
+      pushFieldIssues("webhook-sensitive-data", sensitivePayload, (fields) =>
+        createIssue("webhook-sensitive-data", {
+          ...opInfo,
+          message: RULES["webhook-sensitive-data"].name,
+          detail: `${label} sends: ${fields.map(formatRequestField).join(", ")}`,
+          fix: OUTBOUND_FIXES["webhook-sensitive-data"],
+          severity: severityForFields(fields),
+          fields: fields.map(requestField),
+          location: fieldLocation(fields, opLocation),
+        })
+      );
+    }
+
+    // ✍️ Check: Receivers can't verify the sender (no signature header or security)
+    const signed =
+      requiresAuth(outbound.op.security) ||
+      requestFields.some(
+        (field) =>
+          field.location === "header" &&
+          SIGNATURE_HEADER_PATTERN.test(field.name)
+      );
+    if (!signed) {
+      issues.push(
+        createIssue("webhook-signature-missing", {
+          ...opInfo,
+          message: RULES["webhook-signature-missing"].name,
+          detail: `${label} documents no signature header or security requirement, so receivers can't tell real deliveries from forged ones`,
+          fix: OUTBOUND_FIXES["webhook-signature-missing"],
+          location: opLocation,
+        })
+      );
+    }
+
+    // 🙈 Operation- and path-level x-apishield-ignore
+    for (let i = firstOpIssue; i < issues.length; i++) {
+      issues[i] = withInlineSuppression(
+        issues[i],
+        [outbound.op, outbound.pathObj],
+        logger
+      );
+    }
+  }
+
+  // 🎫 Check: Weak JWTs seen in traffic, reported once per token on the first operation that used it
+  for (const token of normalizedSpec._tokens || []) {
+    const operations = token.operations.filter(
+      (opId) => !shouldIgnorePath(opId.split(" ")[1], config.ignorePaths)
+    );
+    if (operations.length === 0) continue;
+    const [method, pathStr] = operations[0].split(" ");
+    const usedBy =
+      operations.length > 1
+        ? `${operations[0]} and ${operations.length - 1} other operation(s)`
+        : operations[0];
+    for (const finding of token.findings) {
+      issues.push(
+        createIssue(finding.ruleId, {
+          method,
+          path: pathStr,
+          message: RULES[finding.ruleId].name,
+          detail: `JWT ${token.masked} (${usedBy}) ${finding.detail}`,
+          fix: JWT_FIXES[finding.ruleId],
+          ...(finding.severity ? { severity: finding.severity } : {}),
+        })
+      );
+    }
+  }
+
+  // Examples outside operations (components, path-level parameters)
+  pushExampleIssues(examplesByOperation.get("") || []);
+
+  // ⚙️ Apply per-rule levels and severity overrides from config
+  return applyRuleConfig(issues, config.rules);
 }
 
 export {
   normalizeSpec,
   scanSpec,
   isSensitiveField,
+  isSecretField,
+  classifyField,
+  classifyFields,
+  classifySchemaField,
+  severityForFields,
+  tokenizeFieldName,
   getRegulatoryContext,
+  collectRequestFields,
+  filterByCompliance,
+  listOperations,
+  shouldIgnorePath,
+  getEffectiveSecurity,
+  requiresAuth,
+  isLikelyPublicPath,
+  getSuccessResponseSchemas,
   SENSITIVE_FIELDS,
 };
@@ -0,0 +1,134 @@
+// lib/parsers/asyncapi.js
+
+// AsyncAPI 2.x (channels with publish/subscribe) and 3.x (separate operations
+// with send/receive) read into one model after $refs are resolved:
+// `{ version, servers: [{ name, url, protocol, security, node }], operations: [{ action, channel, security, servers, messages, node }] }`
+// `node` is the dereferenced spec object, kept for report locations.
+import { getSourceLocation } from "../dereference.js";
+
+/**
+ * Does a parsed document look like an AsyncAPI spec?
+ */
+function isAsyncAPI(doc) {
+  return Boolean(doc && typeof doc.asyncapi === "string");
+}
+
+// Last JSON pointer token of where a dereferenced node was defined ("/channels/userSignedUp" → "userSignedUp")
+function nameFromLocation(node, fallback) {
+  const pointer = getSourceLocation(node)?.pointer || "";
+  const token = pointer.split("/").pop();
+  return token ? token.replace(/~1/g, "/").replace(/~0/g, "~") : fallback;
+}
+
+function normalizeServers(spec) {
+  return Object.entries(spec.servers || {}).map(([name, server]) => ({
+    name,
+    // 2.x has a full url; 3.x splits it into host and pathname
+    url:
+      server.url ||
+      `${server.host || ""}${server.pathname || ""}`.replace(/^\/+/, ""),
+    protocol: String(server.protocol || "").toLowerCase(),
+    security: server.security || [],
+    node: server,
+  }));
+}
+
+// Message payload schema (3.x multi-format payloads wrap it in `{ schemaFormat, schema }`)
+function getPayloadSchema(message) {
+  const payload = message?.payload;
+  if (payload && payload.schemaFormat && payload.schema) return payload.schema;
+  return payload;
+}
+
+// Declared name, else the key in a `messages` map; inline 2.x messages (`.../message`, `.../oneOf/0`) have none
+function messageName(message) {
+  const declared = message.name || message.messageId || message.title;
+  if (declared) return declared;
+  const tokens = (getSourceLocation(message)?.pointer || "").split("/");
+  return tokens[tokens.length - 2] === "messages"
+    ? nameFromLocation(message)
+    : undefined;
+}
+
+function toMessages(list) {
+  return list
+    .filter((message) => message && typeof message === "object")
+    .map((message) => ({
+      name: messageName(message),
+      payload: getPayloadSchema(message),
+      node: message,
+    }));
+}
+
+// 2.x: servers are referenced by name from the channel
+function normalizeV2Operations(spec, servers) {
+  const operations = [];
+  for (const [address, channel] of Object.entries(spec.channels || {})) {
+    for (const action of ["publish", "subscribe"]) {
+      const op = channel?.[action];
+      if (!op) continue;
+
+      const message = op.message;
+      const messages = Array.isArray(message?.oneOf)
+        ? message.oneOf
+        : [message];
+      operations.push({
+        action,
+        channel: address,
+        security: op.security,
+        servers: Array.isArray(channel.servers)
+          ? servers.filter((server) => channel.servers.includes(server.name))
+          : servers,
+        messages: toMessages(messages),
+        node: op,
+      });
+    }
+  }
+  return operations;
+}
+
+// 3.x: operations point at channels, channels at servers and messages (all dereferenced)
+function normalizeV3Operations(spec, servers) {
+  return Object.entries(spec.operations || {}).map(([name, op]) => {
+    const channel = op.channel || {};
+    // Server refs resolve to copies, so match them by where they were defined
+    const serverNames = Array.isArray(channel.servers)
+      ? channel.servers.map((server) => nameFromLocation(server))
+      : null;
+    const channelServers = serverNames
+      ? servers.filter((server) => serverNames.includes(server.name))
+      : servers;
+    const messages = Array.isArray(op.messages)
+      ? op.messages
+      : Object.values(channel.messages || {});
+
+    return {
+      action: op.action || "send",
+      channel: channel.address || nameFromLocation(channel, name),
+      security: op.security,
+      servers: channelServers,
+      messages: toMessages(messages),
+      node: op,
+    };
+  });
+}
+
+/**
+ * Normalize a dereferenced AsyncAPI spec. Channels have no REST paths;
+ * the checks read `_asyncapi` instead.
+ */
+function normalizeAsyncAPI(spec) {
+  const servers = normalizeServers(spec);
+  const operations = spec.asyncapi.startsWith("2.")
+    ? normalizeV2Operations(spec, servers)
+    : normalizeV3Operations(spec, servers);
+
+  return {
+    paths: {},
+    security: [],
+    _source: "asyncapi",
+    _asyncapi: { version: spec.asyncapi, servers, operations },
+  };
+}
+
+export { isAsyncAPI, normalizeAsyncAPI };
@@ -0,0 +1,183 @@
+// lib/parsers/bruno.js
+
+// Bruno collections: a folder with bruno.json and one .bru file per request.
+// Auth comes from the request, folder.bru or collection.bru; variables from environments/*.bru.
+import fs from "fs";
+import path from "path";
+
+import { extractPath, addOperation } from "./collection.js";
+
+const HTTP_BLOCKS = [
+  "get",
+  "post",
+  "put",
+  "patch",
+  "delete",
+  "head",
+  "options",
+];
+const SKIPPED_DIRS = ["environments", "node_modules", ".git"];
+
+/**
+ * Is this directory a Bruno collection?
+ */
+function isBrunoCollection(dirPath) {
+  return fs.existsSync(path.join(dirPath, "bruno.json"));
+}
+
+/**
+ * Parse .bru text into `{ blockName: { key: value } | [items] | "raw text" }`.
+ * Dictionary entries disabled with `~` are dropped; body blocks are kept raw.
+ */
+function parseBru(text) {
+  const blocks = {};
+  const lines = text.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const open = /^([\w:.-]+)\s*([{[])\s*$/.exec(lines[i]);
+    if (!open) continue;
+
+    const [, name, bracket] = open;
+    const close = bracket === "{" ? "}" : "]";
+    const content = [];
+    for (i++; i < lines.length && lines[i] !== close; i++) {
+      content.push(lines[i]);
+    }
+
+    if (
+      name.startsWith("body") ||
+      name.startsWith("script") ||
+      name === "docs" ||
+      name === "tests"
+    ) {
+      blocks[name] = content.join("\n");
+    } else if (bracket === "[") {
+      blocks[name] = content.map((line) => line.trim()).filter(Boolean);
+    } else {
+      const entries = {};
+      for (const line of content) {
+        const entry = /^\s*([^:~\s][^:]*):\s?(.*)$/.exec(line);
+        if (entry) entries[entry[1].trim()] = entry[2].trim();
+      }
+      blocks[name] = entries;
+    }
+  }
+  return blocks;
+}
+
+function readBru(filePath) {
+  return fs.existsSync(filePath)
+    ? parseBru(fs.readFileSync(filePath, "utf8"))
+    : {};
+}
+
+/**
+ * Read a Bruno collection folder into
+ * `{ name, auth, environments: [{ name, variables }], items: [{ name, auth, items } | { name, method, url, auth, headers }] }`
+ */
+function parseBrunoCollection(dirPath) {
+  const config = JSON.parse(
+    fs.readFileSync(path.join(dirPath, "bruno.json"), "utf8")
+  );
+
+  const envDir = path.join(dirPath, "environments");
+  const environments = fs.existsSync(envDir)
+    ? fs
+        .readdirSync(envDir)
+        .filter((file) => file.endsWith(".bru"))
+        .sort()
+        .map((file) => ({
+          name: path.basename(file, ".bru"),
+          variables: readBru(path.join(envDir, file)).vars || {},
+        }))
+    : [];
+
+  function readFolder(folderPath) {
+    const items = [];
+    for (const entry of fs.readdirSync(folderPath, { withFileTypes: true })) {
+      const entryPath = path.join(folderPath, entry.name);
+      if (entry.isDirectory()) {
+        if (SKIPPED_DIRS.includes(entry.name)) continue;
+        items.push({
+          name: entry.name,
+          auth: readBru(path.join(entryPath, "folder.bru")).auth,
+          items: readFolder(entryPath),
+        });
+      } else if (
+        entry.name.endsWith(".bru") &&
+        !["collection.bru", "folder.bru"].includes(entry.name)
+      ) {
+        const blocks = readBru(entryPath);
+        const method = HTTP_BLOCKS.find((block) => blocks[block]);
+        if (!method) continue; // GraphQL or non-request files
+        items.push({
+          name: blocks.meta?.name || entry.name,
+          method,
+          url: blocks[method].url || "",
+          auth: { mode: blocks[method].auth },
+          headers: blocks.headers || {},
+        });
+      }
+    }
+    return items;
+  }
+
+  return {
+    name: config.name,
+    auth: readBru(path.join(dirPath, "collection.bru")).auth,
+    environments,
+    items: readFolder(dirPath),
+  };
+}
+
+// Requests and folders inherit unless they pick a mode ("inherit" or missing defers)
+function inheritsAuth(auth) {
+  return !auth?.mode || auth.mode === "inherit";
+}
+
+function hasAuthHeader(headers) {
+  return Object.keys(headers).some((name) =>
+    ["authorization", "x-api-key"].includes(name.toLowerCase())
+  );
+}
+
+/**
+ * Normalize a parsed Bruno collection. Variables come from the first
+ * environment (alphabetically), with later ones filling in missing keys.
+ */
+function normalizeBruno(collection) {
+  const normalized = { paths: {}, security: [], _source: "bruno" };
+  const variables = {};
+  for (const env of [...collection.environments].reverse()) {
+    Object.assign(variables, env.variables);
+  }
+
+  function processItems(items, inheritedAuth) {
+    for (const item of items) {
+      const auth = inheritsAuth(item.auth) ? inheritedAuth : item.auth;
+
+      if (item.items) {
+        processItems(item.items, auth);
+        continue;
+      }
+
+      const mode = auth?.mode && auth.mode !== "none" ? auth.mode : null;
+      const mechanisms = [
+        mode,
+        hasAuthHeader(item.headers) ? "header" : null,
+      ].filter(Boolean);
+
+      addOperation(normalized, extractPath(item.url, variables), item.method, {
+        security: mechanisms.map((type) => `bruno-${type}`),
+        source: "bruno",
+      });
+    }
+  }
+
+  processItems(
+    collection.items,
+    inheritsAuth(collection.auth) ? null : collection.auth
+  );
+  return normalized;
+}
+
+export { isBrunoCollection, parseBru, parseBrunoCollection, normalizeBruno };
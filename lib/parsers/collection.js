@@ -0,0 +1,95 @@
+// lib/parsers/collection.js
+
+// Shared helpers for request collections (Postman, Insomnia, Bruno): variable
+// resolution, URL → path template, and merging requests into operations.
+import { mergeSchemas } from "../schemaInference.js";
+
+// Guard against self-referencing variables ({{a}} → {{b}} → {{a}})
+const MAX_VARIABLE_DEPTH = 10;
+
+// {{name}}, {{ name }} and Insomnia's {{ _.name }}
+const VARIABLE_PATTERN = /\{\{\s*(?:_\.)?([^{}]+?)\s*\}\}/g;
+
+/**
+ * Replace {{name}} with its value; unknown variables are left in place
+ */
+function resolveVariables(text, variables) {
+  let resolved = text;
+  for (let depth = 0; depth < MAX_VARIABLE_DEPTH; depth++) {
+    const next = resolved.replace(VARIABLE_PATTERN, (match, name) =>
+      Object.prototype.hasOwnProperty.call(variables, name)
+        ? String(variables[name])
+        : match
+    );
+    if (next === resolved) break;
+    resolved = next;
+  }
+  return resolved;
+}
+
+// Path segment → OpenAPI style: `:id` and unresolved `{{id}}` become `{id}`
+function templateSegment(segment) {
+  if (segment.startsWith(":") && segment.length > 1) {
+    return `{${segment.slice(1)}}`;
+  }
+  return segment.replace(VARIABLE_PATTERN, "{$1}");
+}
+
+// "https://api.example.com/v1/users", "api.example.com/users" or "{{baseUrl}}/users" → "/v1/users" / "/users"
+function stripOrigin(url) {
+  const withoutProtocol = url.replace(/^[a-z][a-z0-9+.-]*:\/\//i, "");
+  if (withoutProtocol !== url) {
+    const slash = withoutProtocol.indexOf("/");
+    return slash === -1 ? "/" : withoutProtocol.slice(slash);
+  }
+  const [first, ...rest] = url.split("/");
+  // Leading unresolved variable or bare host (has a dot or a port)
+  if (
+    /^\{\{[^{}]+\}\}$/.test(first) ||
+    (/[.:]/.test(first) && !first.startsWith(":"))
+  ) {
+    return "/" + rest.join("/");
+  }
+  return url;
+}
+
+/**
+ * Path template of a raw request URL, with variables resolved and the
+ * protocol/host — including an unresolved `{{baseUrl}}` — removed
+ */
+function extractPath(rawUrl, variables) {
+  const resolved = resolveVariables(rawUrl || "", variables).split(/[?#]/)[0];
+  const segments = stripOrigin(resolved).split("/").filter(Boolean);
+  return "/" + segments.map(templateSegment).join("/");
+}
+
+/**
+ * Add a request to `normalized.paths`, merging with an earlier request for the
+ * same operation: security mechanisms are unioned and response schemas merged
+ */
+function addOperation(
+  normalized,
+  path,
+  method,
+  { security, responses, source }
+) {
+  normalized.paths[path] = normalized.paths[path] || {};
+  const existing = normalized.paths[path][method];
+  if (!existing) {
+    normalized.paths[path][method] = {
+      security: [...new Set(security)],
+      responses: responses || {},
+      _source: source,
+    };
+    return;
+  }
+
+  existing.security = [...new Set([...existing.security, ...security])];
+  for (const [status, res] of Object.entries(responses || {})) {
+    existing.responses[status] = {
+      schema: mergeSchemas(existing.responses[status]?.schema, res.schema),
+    };
+  }
+}
+
+export { resolveVariables, extractPath, addOperation };
@@ -0,0 +1,413 @@
+// lib/parsers/graphql.js
+
+// GraphQL schemas from SDL text or an introspection result, read into one model:
+// `{ queryType, mutationType, subscriptionType, types: { Name: { kind, fields, interfaces, possibleTypes, directives } } }`
+// Type references keep the introspection shape: `{ kind: "NON_NULL" | "LIST" | "NAMED", name?, ofType? }`.
+
+// The subset of the standard introspection query the checks need
+const INTROSPECTION_QUERY = `query IntrospectionQuery {
+  __schema {
+    queryType { name }
+    mutationType { name }
+    subscriptionType { name }
+    types {
+      kind
+      name
+      fields(includeDeprecated: true) {
+        name
+        args { name type { ...TypeRef } }
+        type { ...TypeRef }
+      }
+      interfaces { name }
+      possibleTypes { name }
+    }
+  }
+}
+
+fragment TypeRef on __Type {
+  kind
+  name
+  ofType { kind name ofType { kind name ofType { kind name ofType { kind name } } } }
+}`;
+
+const DEFINITION_KINDS = {
+  type: "OBJECT",
+  interface: "INTERFACE",
+  input: "INPUT_OBJECT",
+  enum: "ENUM",
+  union: "UNION",
+  scalar: "SCALAR",
+};
+
+// First significant token is an SDL keyword followed by a name (YAML `type:` keys don't match)
+const SDL_PATTERN =
+  /^(?:\s|#[^\n]*|"""[\s\S]*?"""|"(?:[^"\\\n]|\\.)*")*(?:extend\s+)?(?:schema\s*[@{]|(?:type|interface|input|enum|union|scalar)\s+[_A-Za-z]|directive\s+@)/;
+
+/**
+ * Does this text look like GraphQL SDL?
+ */
+function isGraphQLSDL(text) {
+  return typeof text === "string" && SDL_PATTERN.test(text);
+}
+
+/**
+ * Is this parsed document an introspection result (`{ data: { __schema } }` or `{ __schema }`)?
+ */
+function isIntrospectionResult(doc) {
+  return Boolean(doc && (doc.__schema || doc.data?.__schema));
+}
+
+const PUNCTUATORS = "!$&()...:=@[]{|}";
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  let line = 1;
+  while (i < text.length) {
+    const char = text[i];
+    if (char === "\n") {
+      line++;
+      i++;
+    } else if (/[\s,\uFEFF]/.test(char)) {
+      i++;
+    } else if (char === "#") {
+      while (i < text.length && text[i] !== "\n") i++;
+    } else if (text.startsWith('"""', i)) {
+      const end = text.indexOf('"""', i + 3);
+      if (end === -1)
+        throw new Error(`Unterminated block string (line ${line})`);
+      const value = text.slice(i + 3, end);
+      tokens.push({ type: "string", value, line });
+      line += value.split("\n").length - 1;
+      i = end + 3;
+    } else if (char === '"') {
+      const match = /^"(?:[^"\\\n]|\\.)*"/.exec(text.slice(i));
+      if (!match) throw new Error(`Unterminated string (line ${line})`);
+      tokens.push({ type: "string", value: match[0].slice(1, -1), line });
+      i += match[0].length;
+    } else if (text.startsWith("...", i)) {
+      tokens.push({ type: "punct", value: "...", line });
+      i += 3;
+    } else if (PUNCTUATORS.includes(char)) {
+      tokens.push({ type: "punct", value: char, line });
+      i++;
+    } else {
+      const match =
+        /^(?:[_A-Za-z][_0-9A-Za-z]*|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)/.exec(
+          text.slice(i)
+        );
+      if (!match) {
+        throw new Error(`Unexpected character '${char}' (line ${line})`);
+      }
+      tokens.push({
+        type: /^[_A-Za-z]/.test(match[0]) ? "name" : "number",
+        value: match[0],
+        line,
+      });
+      i += match[0].length;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parse SDL into the schema model. Only type system definitions are read;
+ * applied directives are kept by name so auth directives can be checked.
+ */
+function parseGraphQLSDL(text) {
+  const tokens = tokenize(text);
+  let pos = 0;
+
+  const peek = (value) => tokens[pos] && tokens[pos].value === value;
+  const fail = (expected) => {
+    const token = tokens[pos];
+    throw new Error(
+      token
+        ? `Expected ${expected} but found '${token.value}' (line ${token.line})`
+        : `Expected ${expected} but reached the end of the schema`
+    );
+  };
+  const expect = (value) => {
+    if (!peek(value)) fail(`'${value}'`);
+    pos++;
+  };
+  const name = () => {
+    if (tokens[pos]?.type !== "name") fail("a name");
+    return tokens[pos++].value;
+  };
+  const skipDescription = () => {
+    if (tokens[pos]?.type === "string") pos++;
+  };
+
+  // Values are skipped: defaults and directive arguments don't matter to the checks
+  function skipValue() {
+    if (peek("$")) {
+      pos++;
+      name();
+    } else if (peek("[")) {
+      pos++;
+      while (!peek("]")) skipValue();
+      pos++;
+    } else if (peek("{")) {
+      pos++;
+      while (!peek("}")) {
+        name();
+        expect(":");
+        skipValue();
+      }
+      pos++;
+    } else if (tokens[pos] && tokens[pos].type !== "punct") {
+      pos++;
+    } else {
+      fail("a value");
+    }
+  }
+
+  function parseDirectives() {
+    const directives = [];
+    while (peek("@")) {
+      pos++;
+      directives.push(name());
+      if (peek("(")) {
+        pos++;
+        while (!peek(")")) {
+          name();
+          expect(":");
+          skipValue();
+        }
+        pos++;
+      }
+    }
+    return directives;
+  }
+
+  function parseTypeRef() {
+    let type;
+    if (peek("[")) {
+      pos++;
+      type = { kind: "LIST", ofType: parseTypeRef() };
+      expect("]");
+    } else {
+      type = { kind: "NAMED", name: name() };
+    }
+    if (peek("!")) {
+      pos++;
+      type = { kind: "NON_NULL", ofType: type };
+    }
+    return type;
+  }
+
+  // Argument and input-field definitions: `name: Type = default @directives`
+  function parseInputValues(close) {
+    const values = [];
+    while (!peek(close)) {
+      skipDescription();
+      const valueName = name();
+      expect(":");
+      const type = parseTypeRef();
+      if (peek("=")) {
+        pos++;
+        skipValue();
+      }
+      values.push({ name: valueName, type, directives: parseDirectives() });
+    }
+    pos++;
+    return values;
+  }
+
+  function parseFields() {
+    const fields = [];
+    expect("{");
+    while (!peek("}")) {
+      skipDescription();
+      const fieldName = name();
+      let args = [];
+      if (peek("(")) {
+        pos++;
+        args = parseInputValues(")");
+      }
+      expect(":");
+      const type = parseTypeRef();
+      fields.push({
+        name: fieldName,
+        args,
+        type,
+        directives: parseDirectives(),
+      });
+    }
+    pos++;
+    return fields;
+  }
+
+  const types = {};
+  const operationTypes = {};
+
+  const getType = (typeName, kind) => {
+    types[typeName] = types[typeName] || {
+      name: typeName,
+      kind,
+      fields: [],
+      interfaces: [],
+      possibleTypes: [],
+      directives: [],
+    };
+    return types[typeName];
+  };
+
+  while (pos < tokens.length) {
+    skipDescription();
+    if (peek("extend")) pos++;
+    const keyword = name();
+
+    if (keyword === "schema") {
+      parseDirectives();
+      if (peek("{")) {
+        pos++;
+        while (!peek("}")) {
+          const operation = name();
+          expect(":");
+          operationTypes[operation] = name();
+        }
+        pos++;
+      }
+    } else if (keyword === "directive") {
+      expect("@");
+      name();
+      if (peek("(")) {
+        pos++;
+        parseInputValues(")");
+      }
+      if (peek("repeatable")) pos++;
+      expect("on");
+      if (peek("|")) pos++;
+      name();
+      while (peek("|")) {
+        pos++;
+        name();
+      }
+    } else if (DEFINITION_KINDS[keyword]) {
+      const type = getType(name(), DEFINITION_KINDS[keyword]);
+
+      if (peek("implements")) {
+        pos++;
+        if (peek("&")) pos++;
+        type.interfaces.push(name());
+        while (peek("&")) {
+          pos++;
+          type.interfaces.push(name());
+        }
+      }
+      type.directives.push(...parseDirectives());
+
+      if (keyword === "union" && peek("=")) {
+        pos++;
+        if (peek("|")) pos++;
+        type.possibleTypes.push(name());
+        while (peek("|")) {
+          pos++;
+          type.possibleTypes.push(name());
+        }
+      } else if (keyword === "enum" && peek("{")) {
+        pos++;
+        while (!peek("}")) {
+          skipDescription();
+          name();
+          parseDirectives();
+        }
+        pos++;
+      } else if (keyword === "input" && peek("{")) {
+        pos++;
+        type.fields.push(...parseInputValues("}"));
+      } else if (peek("{")) {
+        type.fields.push(...parseFields());
+      }
+    } else {
+      pos--;
+      fail(
+        "a type system definition (operations and fragments are not schemas)"
+      );
+    }
+  }
+
+  return {
+    queryType: operationTypes.query || (types.Query ? "Query" : null),
+    mutationType:
+      operationTypes.mutation || (types.Mutation ? "Mutation" : null),
+    subscriptionType:
+      operationTypes.subscription ||
+      (types.Subscription ? "Subscription" : null),
+    types,
+    // SDL carries applied directives; introspection doesn't
+    hasDirectives: true,
+  };
+}
+
+// Introspection type reference → the model's `{ kind, name?, ofType? }`
+function fromIntrospectionTypeRef(ref) {
+  if (!ref) return { kind: "NAMED", name: "Unknown" };
+  if (ref.kind === "NON_NULL" || ref.kind === "LIST") {
+    return { kind: ref.kind, ofType: fromIntrospectionTypeRef(ref.ofType) };
+  }
+  return { kind: "NAMED", name: ref.name };
+}
+
+/**
+ * Read an introspection result into the schema model. Applied directives are
+ * not part of introspection, so `hasDirectives` is false.
+ */
+function parseIntrospection(doc) {
+  const schema = doc.__schema || doc.data.__schema;
+  const types = {};
+  for (const type of schema.types || []) {
+    if (!type?.name || type.name.startsWith("__")) continue;
+    types[type.name] = {
+      name: type.name,
+      kind: type.kind,
+      fields: (type.fields || type.inputFields || []).map((field) => ({
+        name: field.name,
+        args: (field.args || []).map((arg) => ({
+          name: arg.name,
+          type: fromIntrospectionTypeRef(arg.type),
+          directives: [],
+        })),
+        type: fromIntrospectionTypeRef(field.type),
+        directives: [],
+      })),
+      interfaces: (type.interfaces || []).map((ref) => ref.name),
+      possibleTypes: (type.possibleTypes || []).map((ref) => ref.name),
+      directives: [],
+    };
+  }
+
+  return {
+    queryType: schema.queryType?.name || null,
+    mutationType: schema.mutationType?.name || null,
+    subscriptionType: schema.subscriptionType?.name || null,
+    types,
+    hasDirectives: false,
+  };
+}
+
+/**
+ * Wrap a schema model in the normalized shape. GraphQL has no REST paths;
+ * the checks read `_graphql` instead. `introspectionUrl` records a live
+ * endpoint that answered the introspection query.
+ */
+function normalizeGraphQL(schema, { introspectionUrl } = {}) {
+  return {
+    paths: {},
+    security: [],
+    _source: "graphql",
+    _graphql: schema,
+    ...(introspectionUrl ? { _graphqlIntrospection: introspectionUrl } : {}),
+  };
+}
+
+export {
+  INTROSPECTION_QUERY,
+  isGraphQLSDL,
+  isIntrospectionResult,
+  parseGraphQLSDL,
+  parseIntrospection,
+  normalizeGraphQL,
+};
@@ -1,30 +1,152 @@
 import fs from "fs";
+import { scanBody, scanValue } from "../valueScanner.js";
+import {
+  getHeader,
+  getRequestCookieNames,
+  isSessionCookie,
+  inspectResponseHeaders,
+  getMissingProtectionHeaders,
+} from "../headerChecks.js";
+import { getBearerJwt, findJwts, summarizeTokens } from "../jwt.js";
+import {
+  inferSchema,
+  mergeSchemas,
+  isJsonMimeType,
+} from "../schemaInference.js";
+
+// Credential headers carry secrets by design; the auth checks cover them
+const CREDENTIAL_HEADERS = [
+  "authorization",
+  "proxy-authorization",
+  "cookie",
+  "set-cookie",
+  "x-api-key",
+];
+
+/**
+ * Value-based secret/PII findings for one HAR entry: request/response bodies and headers
+ */
+function scanEntryValues(request, response) {
+  const headerFindings = (headers, location) =>
+    (headers || [])
+      .filter((h) => !CREDENTIAL_HEADERS.includes(h.name.toLowerCase()))
+      .flatMap((h) =>
+        scanValue(h.value).map((finding) => ({
+          ...finding,
+          in: location,
+          path: h.name,
+        }))
+      );
+
+  return [
+    ...scanBody(request.postData?.text).map((finding) => ({
+      ...finding,
+      in: "body",
+    })),
+    ...headerFindings(request.headers, "header"),
+    ...scanBody(response.content?.text).map((finding) => ({
+      ...finding,
+      in: "response",
+    })),
+    ...headerFindings(response.headers, "response-header"),
+  ];
+}
 
 function parseHAR(filePath) {
   const content = fs.readFileSync(filePath, "utf8");
   return JSON.parse(content);
 }
 
-function inferSchema(obj) {
-  if (obj === null) return { type: "null" };
-  if (typeof obj !== "object") return { type: typeof obj };
-  if (Array.isArray(obj)) {
-    return {
-      type: "array",
-      items: obj.length > 0 ? inferSchema(obj[0]) : {},
-    };
+// UUIDs, numeric IDs and hash-like tokens (hex digests, Mongo ObjectIds) vary per resource
+const ID_SEGMENT_PATTERNS = [
+  /^\d+$/,
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  /^[0-9a-f]{16,}$/i,
+  /^(?=.*\d)(?=.*[a-z])[A-Za-z0-9_-]{20,}$/i,
+];
+
+function isIdSegment(segment) {
+  return ID_SEGMENT_PATTERNS.some((pattern) => pattern.test(segment));
+}
+
+/**
+ * Collapse ID-like segments into templates: /users/42/orders/9f8e… → /users/{id}/orders/{id2}
+ */
+function templatePath(pathname) {
+  let count = 0;
+  return pathname
+    .split("/")
+    .map((segment) => {
+      if (!segment || !isIdSegment(decodeURIComponent(segment))) {
+        return segment;
+      }
+      count++;
+      return count === 1 ? "{id}" : `{id${count}}`;
+    })
+    .join("/");
+}
+
+// Parsed JSON response body, or undefined for non-JSON / unparsable bodies
+function parseJsonContent(content) {
+  if (!content?.text || !isJsonMimeType(content.mimeType)) return undefined;
+  try {
+    const text =
+      content.encoding === "base64"
+        ? Buffer.from(content.text, "base64").toString("utf8")
+        : content.text;
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+}
+
+// Record where and when a JWT was seen, for summarizeTokens
+function observeToken(observations, token, opId, use) {
+  if (!observations.has(token)) {
+    observations.set(token, { operations: new Set(), uses: [] });
+  }
+  const observation = observations.get(token);
+  observation.operations.add(opId);
+  if (use) observation.uses.push(use);
+}
+
+// Same finding from many samples is reported once per operation
+function findingKey(opKey, finding) {
+  return `${opKey}|${finding.in}|${finding.path}|${finding.detector.id}|${finding.masked}`;
+}
+
+/**
+ * Auth mechanisms a request used: "har-auth" (Authorization / X-API-Key header)
+ * and/or "har-session" (session cookie)
+ */
+function getRequestAuth(request) {
+  const mechanisms = [];
+  if (
+    getHeader(request.headers, "authorization") ||
+    getHeader(request.headers, "x-api-key")
+  ) {
+    mechanisms.push("har-auth");
   }
-  const properties = {};
-  for (const [key, value] of Object.entries(obj)) {
-    properties[key] = inferSchema(value);
+  if (getRequestCookieNames(request).some(isSessionCookie)) {
+    mechanisms.push("har-session");
   }
-  return { type: "object", properties };
+  return mechanisms;
 }
 
+/**
+ * Normalize a HAR log: entries are aggregated per operation (method + templated path),
+ * with every observed status code, response schemas merged across samples,
+ * counts of authenticated vs. anonymous calls in `_auth`, response header
+ * findings in `_headerFindings`, and protective headers missing from any
+ * successful response in `_missingHeaders`. JWTs sent as bearer tokens or
+ * returned in bodies are inspected into the spec-level `_tokens`.
+ */
 function normalizeHAR(harData) {
   const normalized = { paths: {}, _source: "har" };
 
   const entries = harData.log?.entries || [];
+  const seenFindings = new Set();
+  const tokenObservations = new Map();
 
   for (const entry of entries) {
     const request = entry.request;
@@ -36,43 +158,85 @@ function normalizeHAR(harData) {
     if (!request.url.startsWith("http")) continue;
 
     const url = new URL(request.url);
-    const path = url.pathname || "/";
+    const path = templatePath(url.pathname || "/");
     const method = request.method.toLowerCase();
 
-    // Check auth in request
-    const hasAuthHeader = request.headers?.some(
-      (h) =>
-        h.name.toLowerCase() === "authorization" ||
-        h.name.toLowerCase() === "x-api-key"
-    );
-
-    // Parse response body if JSON
-    let responseSchema = null;
-    if (
-      response.content?.mimeType === "application/json" &&
-      response.content.text
-    ) {
-      try {
-        const body = JSON.parse(response.content.text);
-        responseSchema = inferSchema(body);
-      } catch {}
-    }
-
     normalized.paths[path] = normalized.paths[path] || {};
-    normalized.paths[path][method] = {
-      security: hasAuthHeader ? ["har-auth"] : [],
-      responses: responseSchema
-        ? {
-            [response.status]: {
-              schema: responseSchema,
-            },
-          }
-        : {},
+    normalized.paths[path][method] = normalized.paths[path][method] || {
+      security: [],
+      responses: {},
       _source: "har",
+      _auth: { authenticated: 0, anonymous: 0, anonymousSuccess: 0 },
+      _samples: 0,
+      // Masked matches only — raw values never leave the parser
+      _valueFindings: [],
+      _headerFindings: [],
+      _missingHeaders: [],
     };
+    const op = normalized.paths[path][method];
+    op._samples++;
+
+    // Check auth in request: headers or a session cookie
+    const auth = getRequestAuth(request);
+    const succeeded = response.status >= 200 && response.status < 300;
+    if (auth.length > 0) {
+      op._auth.authenticated++;
+      op.security = [...new Set([...op.security, ...auth])];
+    } else {
+      op._auth.anonymous++;
+      if (succeeded) op._auth.anonymousSuccess++;
+    }
+
+    // Status 0: blocked or aborted, no real response
+    const body = parseJsonContent(response.content);
+    if (response.status > 0) {
+      const status = String(response.status);
+      op.responses[status] = op.responses[status] || {};
+      const observed = op.responses[status];
+      if (body !== undefined) {
+        observed.schema = mergeSchemas(observed.schema, inferSchema(body));
+      }
+    }
+
+    // 🎫 JWTs: bearer tokens with when they were used, and tokens the API hands out
+    const opId = `${method.toUpperCase()} ${path}`;
+    const bearer = getBearerJwt(getHeader(request.headers, "authorization"));
+    if (bearer) {
+      observeToken(tokenObservations, bearer, opId, {
+        time: Date.parse(entry.startedDateTime),
+        status: response.status,
+      });
+    }
+    for (const token of findJwts(body)) {
+      observeToken(tokenObservations, token, opId);
+    }
+
+    for (const finding of scanEntryValues(request, response)) {
+      const key = findingKey(`${method} ${path}`, finding);
+      if (seenFindings.has(key)) continue;
+      seenFindings.add(key);
+      op._valueFindings.push(finding);
+    }
+
+    // 🍪 Cookies, CORS and version headers
+    for (const finding of inspectResponseHeaders(response)) {
+      const key = `${method} ${path}|${finding.ruleId}|${finding.detail}`;
+      if (seenFindings.has(key)) continue;
+      seenFindings.add(key);
+      op._headerFindings.push(finding);
+    }
+    if (succeeded) {
+      op._missingHeaders = [
+        ...new Set([
+          ...op._missingHeaders,
+          ...getMissingProtectionHeaders(response, request.url),
+        ]),
+      ];
+    }
   }
 
+  normalized._tokens = summarizeTokens(tokenObservations);
   return normalized;
 }
 
-export { parseHAR, normalizeHAR };
+export { parseHAR, normalizeHAR, templatePath };
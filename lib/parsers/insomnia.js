@@ -0,0 +1,132 @@
+// lib/parsers/insomnia.js
+
+// Insomnia exports: v4 JSON (`_type: "export"`, flat `resources` linked by parentId)
+// and v5 YAML (`type: collection.insomnia.rest/5.x`, nested `collection`).
+import { extractPath, addOperation } from "./collection.js";
+
+/**
+ * Does a parsed document look like an Insomnia export?
+ */
+function isInsomniaExport(doc) {
+  return Boolean(
+    doc &&
+    ((doc._type === "export" && Array.isArray(doc.resources)) ||
+      /^collection\.insomnia\.rest\//.test(doc.type || ""))
+  );
+}
+
+// Folders and requests inherit when they don't set auth (or choose "inherit")
+function inheritsAuth(auth) {
+  return !auth || Object.keys(auth).length === 0 || auth.type === "inherit";
+}
+
+// Auth mechanism of an authentication block: "bearer", "basic", ... or null for none
+function getAuthType(auth) {
+  if (!auth || auth.disabled || auth.type === "none") return null;
+  return auth.type;
+}
+
+function hasAuthHeader(headers = []) {
+  return headers.some(
+    (h) =>
+      !h.disabled &&
+      ["authorization", "x-api-key"].includes(String(h.name).toLowerCase())
+  );
+}
+
+/**
+ * v4 resources → the v5 tree shape: `[{ name, children?, url, method, authentication, headers, environment }]`
+ */
+function buildResourceTree(resources) {
+  const byParent = new Map();
+  for (const resource of resources) {
+    if (!byParent.has(resource.parentId)) byParent.set(resource.parentId, []);
+    byParent.get(resource.parentId).push(resource);
+  }
+
+  const toNode = (resource) =>
+    resource._type === "request_group"
+      ? {
+          ...resource,
+          children: (byParent.get(resource._id) || [])
+            .filter((child) =>
+              ["request", "request_group"].includes(child._type)
+            )
+            .map(toNode),
+        }
+      : resource;
+
+  return resources
+    .filter((resource) => resource._type === "workspace")
+    .flatMap((workspace) => byParent.get(workspace._id) || [])
+    .filter((resource) => ["request", "request_group"].includes(resource._type))
+    .map(toNode);
+}
+
+/**
+ * Base environment data overlaid with the first sub-environment (usually the one in use)
+ */
+function getEnvironmentVariables(doc) {
+  if (Array.isArray(doc.resources)) {
+    const environments = doc.resources.filter(
+      (resource) => resource._type === "environment"
+    );
+    const workspaceIds = doc.resources
+      .filter((resource) => resource._type === "workspace")
+      .map((resource) => resource._id);
+    const base = environments.find((env) =>
+      workspaceIds.includes(env.parentId)
+    );
+    const sub = base && environments.find((env) => env.parentId === base._id);
+    return { ...(base?.data || {}), ...(sub?.data || {}) };
+  }
+
+  const environments = doc.environments || {};
+  return {
+    ...(environments.data || {}),
+    ...(environments.subEnvironments?.[0]?.data || {}),
+  };
+}
+
+/**
+ * Normalize an Insomnia v4 or v5 export. Auth is inherited from folders,
+ * and folder environments override the workspace environment.
+ */
+function normalizeInsomnia(doc) {
+  const normalized = { paths: {}, security: [], _source: "insomnia" };
+  const items = Array.isArray(doc.resources)
+    ? buildResourceTree(doc.resources)
+    : doc.collection || [];
+
+  function processItems(nodes, inheritedAuth, variables) {
+    for (const node of nodes) {
+      const auth = inheritsAuth(node.authentication)
+        ? inheritedAuth
+        : node.authentication;
+
+      if (Array.isArray(node.children)) {
+        // Folder — recurse with its own environment layered on top
+        processItems(node.children, auth, {
+          ...variables,
+          ...(node.environment || {}),
+        });
+      } else if (node.url !== undefined) {
+        const method = (node.method || "GET").toLowerCase();
+        const mechanisms = [
+          getAuthType(auth),
+          hasAuthHeader(node.headers) ? "header" : null,
+        ].filter(Boolean);
+
+        addOperation(normalized, extractPath(node.url, variables), method, {
+          security: mechanisms.map((type) => `insomnia-${type}`),
+          source: "insomnia",
+        });
+      }
+    }
+  }
+
+  processItems(items, null, getEnvironmentVariables(doc));
+  return normalized;
+}
+
+export { isInsomniaExport, normalizeInsomnia };
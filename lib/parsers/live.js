@@ -1,6 +1,13 @@
 // lib/parsers/live.js
+import fs from "fs";
+import path from "path";
 import fetch from "node-fetch";
-import chalk from "chalk";
+import { consoleLogger } from "../logger.js";
+import { DEFAULT_CONFIG } from "../config.js";
+import { TOOL_NAME, TOOL_VERSION, TOOL_HOMEPAGE } from "../version.js";
+import { inferSchema, isJsonMimeType } from "../schemaInference.js";
+import { findJwts, summarizeTokens } from "../jwt.js";
+import { INTROSPECTION_QUERY, isIntrospectionResult } from "./graphql.js";
 import yaml from "js-yaml"; // For YAML spec support
 
 // Common paths to probe if no OpenAPI spec is found (relative to base URL)
@@ -13,8 +20,53 @@ const SPEC_PATHS_TO_PROBE = [
   "/v2/api-docs",
   "/api/swagger.json",
   "/api/v3/openapi.json", // common in newer APIs
+  "/.well-known/api-catalog",
+  "/.well-known/openapi.json",
+  "/.well-known/openapi.yaml",
 ];
 
+// Docs pages (Swagger UI, Redoc, Scalar) that load the spec they render
+const DOCS_PATHS_TO_PROBE = [
+  "/docs",
+  "/swagger-ui.html",
+  "/swagger-ui/",
+  "/swagger",
+  "/redoc",
+  "/reference",
+  "/api/docs",
+];
+
+// Link relations naming a machine-readable API description (RFC 8631)
+const SPEC_LINK_RELATIONS = ["service-desc", "describedby"];
+
+// Spec URLs in docs pages and their JS config: Swagger UI `url: "..."` and
+// `urls: [{ url: "..." }]` (or JSON `"url": "..."`), Redoc `spec-url="..."`
+// and `Redoc.init("...")`, Scalar `data-url="..."`
+const SPEC_URL_PATTERNS = [
+  /["']?\burl["']?\s*:\s*["'`]([^"'`\s]+)["'`]/g,
+  /\bspec-url\s*=\s*["']([^"']+)["']/g,
+  /\bdata-url\s*=\s*["']([^"']+)["']/g,
+  /\bRedoc\.init\(\s*["'`]([^"'`]+)["'`]/g,
+];
+
+// Swagger UI/springdoc `configUrl` points at a JSON config holding `url`/`urls`
+const CONFIG_URL_PATTERN = /["']?\bconfigUrl["']?\s*:\s*["'`]([^"'`\s]+)["'`]/g;
+
+// Scripts holding a docs page's config (swagger-initializer.js, swagger-ui-init.js)
+const SCRIPT_SRC_PATTERN = /<script[^>]+\bsrc\s*=\s*["']([^"']+)["']/gi;
+const CONFIG_SCRIPT_PATTERN = /(init|config)[^/]*\.js$/i;
+const MAX_CONFIG_SCRIPTS = 3;
+
+// URLs that are never this API's spec: page assets and Swagger UI's demo
+const ASSET_PATTERN = /\.(m?js|css|html?|png|jpe?g|gif|svg|ico|woff2?)$/i;
+const DEFAULT_SPEC_HOSTS = /(^|\.)petstore\d*\.swagger\.io$/i;
+
+// Specs loaded from one source (a Swagger UI `urls` list, an API catalog)
+const MAX_DISCOVERED_SPECS = 10;
+
+// Common GraphQL endpoints, tried with an introspection query
+const GRAPHQL_PATHS_TO_PROBE = ["/graphql", "/api/graphql", "/v1/graphql"];
+
 // Common paths to probe for endpoints (if no spec found)
 const COMMON_ENDPOINT_PATHS = [
   "/api/users",
@@ -46,6 +98,14 @@ const PUBLIC_PATHS = [
   "version",
 ];
 
+const USER_AGENT = `${TOOL_NAME}/${TOOL_VERSION} (security scanner; +${TOOL_HOMEPAGE})`;
+
+// Longest Retry-After worth waiting for; beyond it the 429 is returned as-is
+const MAX_RETRY_DELAY_MS = 60000;
+
+// Redirect hops followed per request, as fetch does
+const MAX_REDIRECTS = 20;
+
 async function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
@@ -54,228 +114,599 @@ function isLikelyPublic(path) {
   return PUBLIC_PATHS.some((p) => path.toLowerCase().includes(p));
 }
 
-function extractSensitiveFields(obj, prefix = "") {
-  const SENSITIVE_PATTERNS = [
-    "password",
-    "token",
-    "secret",
-    "key",
-    "ssn",
-    "credit",
-    "cvv",
-    "dob",
-    "private",
-    "aws_",
-    "firebase",
-    "api_",
-    "client_id",
-    "client_secret",
-  ];
-
-  let fields = [];
-  if (obj && typeof obj === "object" && !Array.isArray(obj)) {
-    for (const [key, value] of Object.entries(obj)) {
-      const fullName = prefix ? `${prefix}.${key}` : key;
-      if (SENSITIVE_PATTERNS.some((p) => key.toLowerCase().includes(p))) {
-        fields.push(fullName);
-      }
-      if (value && typeof value === "object") {
-        fields = fields.concat(extractSensitiveFields(value, fullName));
+// Parse a JSON or YAML response body; null for HTML, scripts and anything else
+function parseDocument(text, url, contentType) {
+  if (/html|javascript/.test(contentType) || /^\s*</.test(text)) return null;
+  let doc;
+  try {
+    if (contentType.includes("json") || url.endsWith(".json")) {
+      doc = JSON.parse(text);
+    } else if (
+      contentType.includes("yaml") ||
+      url.endsWith(".yaml") ||
+      url.endsWith(".yml")
+    ) {
+      doc = yaml.load(text);
+    } else {
+      // Fallback: try JSON first, then YAML
+      try {
+        doc = JSON.parse(text);
+      } catch {
+        doc = yaml.load(text);
       }
     }
+  } catch {
+    return null; // Parse error — not a document
   }
-  return fields;
+  return doc && typeof doc === "object" ? doc : null;
 }
 
-// Helper: Is this URL likely a direct spec?
-function isDirectSpecUrl(url) {
-  const lower = url.toLowerCase();
-  return (
-    lower.endsWith("/openapi.json") ||
-    lower.endsWith("/openapi.yaml") ||
-    lower.endsWith("/swagger.json") ||
-    lower.endsWith("/swagger.yaml") ||
-    lower.includes("/openapi") ||
-    lower.includes("/swagger")
+function isSpec(doc) {
+  return Boolean(doc && (doc.openapi || doc.swagger));
+}
+
+// `[absoluteUrl]`, or `[]` when `href` doesn't parse
+function resolveUrl(href, baseUrl) {
+  try {
+    return [new URL(href, baseUrl).href];
+  } catch {
+    return [];
+  }
+}
+
+// Every pattern's first group, resolved against `baseUrl`
+function matchUrls(text, patterns, baseUrl) {
+  return patterns.flatMap((pattern) =>
+    [...text.matchAll(pattern)].flatMap((match) =>
+      resolveUrl(match[1], baseUrl)
+    )
   );
 }
 
-// Helper: Try to parse response as OpenAPI/Swagger spec
-async function parseSpecResponse(response, url) {
-  const contentType = (
-    response.headers.get("content-type") || ""
-  ).toLowerCase();
-  let text, spec;
+// Docs pages embed their config in attributes, e.g. Scalar's data-configuration="{&quot;url&quot;: ...}"
+function decodeHtmlEntities(text) {
+  return text
+    .replace(/&quot;|&#34;|&#x22;/gi, '"')
+    .replace(/&#39;|&#x27;|&apos;/gi, "'")
+    .replace(/&#47;|&#x2F;/gi, "/")
+    .replace(/&amp;/gi, "&");
+}
+
+// `Link: </openapi.json>; rel="service-desc"` (RFC 8631)
+function parseLinkHeader(header, baseUrl) {
+  if (!header) return [];
+  return header.split(/,(?=\s*<)/).flatMap((link) => {
+    const match = /^\s*<([^>]*)>(.*)$/.exec(link);
+    const rel = /;\s*rel\s*=\s*"?([^";]+)"?/i.exec(match?.[2] || "")?.[1];
+    const relations = (rel || "").toLowerCase().split(/\s+/);
+    if (!relations.some((r) => SPEC_LINK_RELATIONS.includes(r))) return [];
+    return resolveUrl(match[1], baseUrl);
+  });
+}
+
+// API catalog (RFC 9727): `{ linkset: [{ anchor, "service-desc": [{ href }] }] }`
+function catalogLinks(doc, baseUrl) {
+  const hrefs = (Array.isArray(doc.linkset) ? doc.linkset : []).flatMap(
+    (entry) =>
+      SPEC_LINK_RELATIONS.flatMap((rel) =>
+        Array.isArray(entry?.[rel]) ? entry[rel].map((link) => link?.href) : []
+      )
+  );
+  return hrefs
+    .filter((href) => typeof href === "string")
+    .flatMap((href) => resolveUrl(href, baseUrl));
+}
 
+function describeDocsPage(text) {
+  if (/swagger-ui|SwaggerUIBundle/.test(text)) return "Swagger UI";
+  if (/redoc/i.test(text)) return "Redoc";
+  if (/@scalar|api-reference/i.test(text)) return "Scalar";
+  return "Docs";
+}
+
+// Spec-like URLs only: not the page's own assets or Swagger UI's demo spec
+function isSpecCandidate(url) {
+  const { protocol, hostname, pathname } = new URL(url);
+  return (
+    /^https?:$/.test(protocol) &&
+    !DEFAULT_SPEC_HOSTS.test(hostname) &&
+    !ASSET_PATTERN.test(pathname)
+  );
+}
+
+/**
+ * `fetch` with the scanner's User-Agent and an abort after `timeoutMs`.
+ * Network errors and timeouts reject, as with `fetch`.
+ */
+async function fetchWithTimeout(url, options = {}, timeoutMs = 5000) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
   try {
-    text = await response.text();
+    return await fetch(url, {
+      ...options,
+      headers: { "User-Agent": USER_AGENT, ...options.headers },
+      signal: controller.signal,
+    });
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
 
-    if (contentType.includes("application/json") || url.endsWith(".json")) {
-      spec = JSON.parse(text);
-    } else if (
-      contentType.includes("yaml") ||
-      url.endsWith(".yaml") ||
-      url.endsWith(".yml")
-    ) {
-      spec = yaml.load(text);
-    } else {
-      // Fallback: try JSON first, then YAML
-      try {
-        spec = JSON.parse(text);
-      } catch {
-        spec = yaml.load(text);
+/**
+ * Extra probe paths from a wordlist file: one per line, `#` comments and
+ * blank lines ignored, leading `/` added when missing
+ */
+function loadWordlist(filePath) {
+  const resolved = path.resolve(filePath);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Wordlist not found: ${filePath}`);
+  }
+  return fs
+    .readFileSync(resolved, "utf8")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"))
+    .map((line) => (line.startsWith("/") ? line : `/${line}`));
+}
+
+// Retry-After is either seconds or an HTTP date; without one, back off 1s, 2s, 4s...
+function retryDelay(retryAfter, attempt) {
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+  return 1000 * 2 ** attempt;
+}
+
+/**
+ * Request function shared by every probe: adds the configured headers and
+ * cookies, spaces requests to `requestsPerSecond`, retries 429s and stops
+ * at `maxRequests` (retries and redirects count). Resolves to null once the
+ * budget is spent. `{ anonymous: true }` leaves the configured headers and
+ * cookies out, as do requests to any origin but `origin` (e.g. spec URLs
+ * found in docs pages). Redirects are followed here, not by fetch, so the
+ * origin is checked again on every hop; `response.url` is the last hop.
+ */
+function createProbeClient(options, logger, origin) {
+  const interval =
+    options.requestsPerSecond > 0 ? 1000 / options.requestsPerSecond : 0;
+  const cookies = Object.entries(options.cookies || {})
+    .map(([name, value]) => `${name}=${value}`)
+    .join("; ");
+  const credentials = {
+    ...options.headers,
+    ...(cookies ? { Cookie: cookies } : {}),
+  };
+
+  let nextSlot = 0;
+  let sent = 0;
+  let exhausted = false;
+
+  async function send(url, init, anonymous) {
+    for (let attempt = 0; ; attempt++) {
+      if (sent >= options.maxRequests) {
+        if (!exhausted) {
+          exhausted = true;
+          logger.warn(
+            `⚠️  Stopped probing after ${options.maxRequests} requests (--max-requests)`
+          );
+        }
+        return null;
       }
+      sent++;
+
+      // Reserve the next slot before waiting so concurrent callers queue up
+      const now = Date.now();
+      const slot = Math.max(now, nextSlot);
+      nextSlot = slot + interval;
+      if (slot > now) await sleep(slot - now);
+
+      const response = await fetchWithTimeout(
+        url,
+        {
+          ...init,
+          redirect: "manual",
+          headers: {
+            ...(anonymous || new URL(url).origin !== origin ? {} : credentials),
+            ...init.headers,
+          },
+        },
+        options.timeoutMs
+      );
+      if (response.status !== 429 || attempt >= options.maxRetries) {
+        return response;
+      }
+
+      const delay = retryDelay(response.headers.get("retry-after"), attempt);
+      if (delay > MAX_RETRY_DELAY_MS) {
+        logger.warn(
+          `⚠️  ${url} asked to retry in ${Math.round(delay / 1000)}s; giving up on it`
+        );
+        return response;
+      }
+      logger.debug(
+        `⏳ Rate limited on ${url}, retrying in ${Math.ceil(delay / 1000)}s`
+      );
+      await sleep(delay);
     }
+  }
+
+  async function request(url, init = {}, { anonymous = false } = {}) {
+    let hopUrl = url;
+    let hopInit = init;
+    for (let hop = 0; ; hop++) {
+      const response = await send(hopUrl, hopInit, anonymous);
+      const location = response?.headers.get("location");
+      if (!location || response.status < 300 || response.status >= 400) {
+        return response;
+      }
+      if (hop >= MAX_REDIRECTS) {
+        throw new Error(`Too many redirects from ${url}`);
+      }
 
-    // Validate it's actually a spec
-    if (spec && (spec.openapi || spec.swagger)) {
-      return spec;
+      // 303, and 301/302 after a POST, continue as a GET without the body
+      if (
+        response.status === 303 ||
+        ([301, 302].includes(response.status) && hopInit.method === "POST")
+      ) {
+        const { body, ...rest } = hopInit;
+        hopInit = { ...rest, method: "GET" };
+      }
+      hopUrl = new URL(location, hopUrl).href;
+      await response.text();
     }
-  } catch (e) {
-    // Parse error — not a valid spec
   }
-  return null;
+
+  return { request };
 }
 
-async function probeEndpoint(baseURL, path, delayMs = 800) {
-  const url = new URL(path, baseURL).href;
+// Run `worker` over `items` with at most `concurrency` in flight; results keep input order
+async function runPool(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const runners = Array.from(
+    { length: Math.max(1, Math.min(concurrency, items.length)) },
+    async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await worker(items[index]);
+      }
+    }
+  );
+  await Promise.all(runners);
+  return results;
+}
 
+/**
+ * GET a discovery candidate (redirects followed) and log the attempt.
+ * Returns `{ url, contentType, text, doc, links }` for a 2xx, with `url` the
+ * final URL, `doc` the parsed JSON/YAML body (null otherwise) and `links`
+ * the spec URLs in its `Link` header; null for anything else.
+ */
+async function fetchDocument(client, url, logger) {
   try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 5000);
-
-    const response = await fetch(url, {
-      method: "GET",
+    const response = await client.request(url, {
       headers: {
-        "User-Agent":
-          "APIShield/0.5.0 (security scanner; contact: onuzulikeanthony432@gmail.com)",
-        Accept: "application/json, */*",
+        Accept:
+          "application/json, application/yaml, text/html;q=0.9, */*;q=0.8",
       },
-      signal: controller.signal,
     });
+    if (!response) return null;
+
+    const finalUrl = response.url || url;
+    logger.debug(
+      `🔎 GET ${url} → ${response.status}${
+        finalUrl !== new URL(url).href ? ` (redirected to ${finalUrl})` : ""
+      }`
+    );
+    if (!response.ok) return null;
 
-    clearTimeout(timeoutId);
-    await sleep(delayMs);
+    const contentType = (
+      response.headers.get("content-type") || ""
+    ).toLowerCase();
+    const text = await response.text();
+    return {
+      url: finalUrl,
+      contentType,
+      text,
+      doc: parseDocument(text, finalUrl, contentType),
+      links: parseLinkHeader(response.headers.get("link"), finalUrl),
+    };
+  } catch (e) {
+    logger.debug(`🔎 GET ${url} → ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Spec URLs a docs page points at: in its HTML or JS, in a `configUrl`
+ * JSON config, or in same-origin config scripts it loads (Swagger UI 4+
+ * keeps `url` in swagger-initializer.js).
+ */
+async function findDocsSpecUrls(client, page, logger) {
+  const text = decodeHtmlEntities(page.text);
+  const urls = matchUrls(text, SPEC_URL_PATTERNS, page.url);
+
+  for (const configUrl of matchUrls(text, [CONFIG_URL_PATTERN], page.url)) {
+    const config = await fetchDocument(client, configUrl, logger);
+    if (config)
+      urls.push(...matchUrls(config.text, SPEC_URL_PATTERNS, config.url));
+  }
+
+  if (page.contentType.includes("html")) {
+    const origin = new URL(page.url).origin;
+    const scripts = matchUrls(text, [SCRIPT_SRC_PATTERN], page.url)
+      .filter((scriptUrl) => {
+        const { origin: scriptOrigin, pathname } = new URL(scriptUrl);
+        return scriptOrigin === origin && CONFIG_SCRIPT_PATTERN.test(pathname);
+      })
+      .slice(0, MAX_CONFIG_SCRIPTS);
+    for (const scriptUrl of scripts) {
+      const script = await fetchDocument(client, scriptUrl, logger);
+      if (script)
+        urls.push(...(await findDocsSpecUrls(client, script, logger)));
+    }
+  }
+
+  return urls.filter(isSpecCandidate);
+}
+
+/**
+ * Load the spec(s) a URL leads to: the document itself, or the specs named
+ * by its `Link` header, an API catalog, a Swagger UI config or a docs page.
+ * Returns `[{ data, source }]` (source is the URL after redirects), empty
+ * when nothing parses as a spec.
+ */
+async function discoverSpecs(client, url, logger) {
+  const page = await fetchDocument(client, url, logger);
+  if (!page) return [];
+  if (isSpec(page.doc)) return [{ data: page.doc, source: page.url }];
+
+  const candidates = [...page.links];
+  if (page.doc?.linkset) {
+    candidates.push(...catalogLinks(page.doc, page.url));
+  } else if (!page.doc || page.doc.url || page.doc.urls || page.doc.configUrl) {
+    const specUrls = await findDocsSpecUrls(client, page, logger);
+    if (specUrls.length > 0) {
+      logger.debug(
+        `📖 ${describeDocsPage(page.text)} at ${page.url} points at ${[
+          ...new Set(specUrls),
+        ].join(", ")}`
+      );
+    }
+    candidates.push(...specUrls);
+  }
+
+  const specs = [];
+  const seen = new Set();
+  for (const specUrl of [...new Set(candidates)]) {
+    if (specs.length >= MAX_DISCOVERED_SPECS) break;
+    if (specUrl === page.url) continue;
+    const found = await fetchDocument(client, specUrl, logger);
+    if (!found || !isSpec(found.doc)) continue;
+
+    // The same spec listed twice (e.g. as JSON and YAML) is scanned once
+    const key = JSON.stringify(found.doc);
+    if (seen.has(found.url) || seen.has(key)) continue;
+    seen.add(found.url).add(key);
+    specs.push({ data: found.doc, source: found.url });
+  }
+  return specs;
+}
+
+/**
+ * Fetch a JSON/YAML document referenced from a spec loaded over HTTP with
+ * the probe client that found the spec, so it shares its `maxRequests`
+ * budget and `requestsPerSecond`. Rejects when it can't be loaded or parsed.
+ */
+async function fetchSpecDocument(client, url, logger = consoleLogger) {
+  const document = await fetchDocument(client, url, logger);
+  if (!document || !document.doc) {
+    throw new Error(`Could not load ${url}`);
+  }
+  return document.doc;
+}
 
+// Log each discovered spec; the first is also `data`/`source` for single-spec callers
+function toSpecResult(specs, client, logger) {
+  for (const spec of specs) {
+    logger.success(`✅ Found OpenAPI spec at ${spec.source}`);
+  }
+  return {
+    type: "openapi",
+    data: specs[0].data,
+    source: specs[0].source,
+    specs,
+    client,
+  };
+}
+
+function isGraphQLUrl(url) {
+  return /\/graphql\/?$/i.test(new URL(url).pathname);
+}
+
+// POST the introspection query without credentials (the finding is that anyone can); returns the result when answered
+async function probeIntrospection(client, url, logger) {
+  try {
+    const response = await client.request(
+      url,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json",
+        },
+        body: JSON.stringify({ query: INTROSPECTION_QUERY }),
+      },
+      { anonymous: true }
+    );
+    if (!response) return null;
+    logger.debug(`🔎 POST ${url} (introspection) → ${response.status}`);
     if (!response.ok) return null;
+    const result = await response.json();
+    return isIntrospectionResult(result) ? result : null;
+  } catch (e) {
+    logger.debug(`🔎 POST ${url} (introspection) → ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * GET one path. With custom credentials a 2xx only shows *we* got in, so
+ * `checkAnonymous` asks again without them to see whether auth is required.
+ */
+async function probeEndpoint(client, baseURL, path, { checkAnonymous }) {
+  const url = new URL(path, baseURL).href;
+  const init = { method: "GET", headers: { Accept: "application/json, */*" } };
+
+  try {
+    const response = await client.request(url, init);
+    if (!response || !response.ok) return null;
 
     let authDetected = !!response.headers.get("www-authenticate");
-    let sensitiveFields = [];
-    let hasJsonBody = false;
+    let body;
+    let tokens = [];
 
-    const contentType = (
-      response.headers.get("content-type") || ""
-    ).toLowerCase();
-    if (contentType.includes("application/json")) {
+    if (isJsonMimeType(response.headers.get("content-type") || "")) {
       try {
-        const body = await response.json();
-        sensitiveFields = extractSensitiveFields(body);
-        hasJsonBody = true;
+        body = await response.json();
+        tokens = findJwts(body);
       } catch {}
     }
 
+    if (checkAnonymous) {
+      const anonymous = await client.request(url, init, { anonymous: true });
+      authDetected = authDetected || !anonymous || !anonymous.ok;
+    }
+
     return {
       path,
       method: "GET",
       status: response.status,
       authDetected,
-      sensitiveFields,
-      hasJsonBody,
+      body,
+      tokens,
     };
   } catch {
     return null;
   }
 }
 
-async function scanLiveURL(inputUrl) {
-  // ✅ STEP 1: Check if input is a DIRECT SPEC URL
-  if (isDirectSpecUrl(inputUrl)) {
-    try {
-      const response = await fetch(inputUrl, { timeout: 5000 });
-      if (response.ok) {
-        const spec = await parseSpecResponse(response, inputUrl);
-        if (spec) {
-          console.log(
-            chalk.green(`✅ Valid OpenAPI/Swagger spec loaded from ${inputUrl}`)
-          );
-          return { type: "openapi", data: spec, source: inputUrl };
-        }
-      }
-    } catch (e) {
-      console.warn(
-        chalk.yellow(`⚠️  Could not load spec from ${inputUrl}: ${e.message}`)
-      );
+/**
+ * Find the spec(s) or GraphQL endpoint behind a URL, or probe common
+ * endpoint paths. A spec result lists every spec found as `specs`, plus the
+ * probe `client` to fetch the documents they reference with. Options (see `probe` in config) are merged over the defaults:
+ * `{ paths, wordlist, concurrency, requestsPerSecond, timeoutMs, maxRetries, maxRequests, headers, cookies }`.
+ */
+async function scanLiveURL(
+  inputUrl,
+  { logger = consoleLogger, ...options } = {}
+) {
+  const probe = { ...DEFAULT_CONFIG.probe, ...options };
+  const client = createProbeClient(probe, logger, new URL(inputUrl).origin);
+
+  // ✅ STEP 1: Direct GraphQL endpoint
+  if (isGraphQLUrl(inputUrl)) {
+    const result = await probeIntrospection(client, inputUrl, logger);
+    if (result) {
+      logger.success(`✅ GraphQL introspection answered at ${inputUrl}`);
+      return { type: "graphql", data: result, source: inputUrl };
     }
+    logger.warn(
+      `⚠️  ${inputUrl} did not answer the introspection query. Probing for other specs...`
+    );
+  } else {
+    // ✅ STEP 1b: The URL itself: a spec, a docs page or a `Link` header naming one
+    const specs = await discoverSpecs(client, inputUrl, logger);
+    if (specs.length > 0) return toSpecResult(specs, client, logger);
   }
 
-  // ✅ STEP 2: Treat as BASE URL and probe for specs
+  // ✅ STEP 2: Treat as BASE URL and probe spec paths, then docs pages
   const baseUrl = inputUrl.endsWith("/") ? inputUrl : inputUrl + "/";
 
-  for (const specPath of SPEC_PATHS_TO_PROBE) {
-    try {
-      const specUrl = new URL(specPath, baseUrl).href;
-      const response = await fetch(specUrl, { timeout: 5000 });
+  for (const specPath of [...SPEC_PATHS_TO_PROBE, ...DOCS_PATHS_TO_PROBE]) {
+    const specUrl = new URL(specPath, baseUrl).href;
+    if (specUrl === inputUrl) continue;
+    const specs = await discoverSpecs(client, specUrl, logger);
+    if (specs.length > 0) return toSpecResult(specs, client, logger);
+  }
 
-      if (response.ok) {
-        const spec = await parseSpecResponse(response, specUrl);
-        if (spec) {
-          console.log(chalk.green(`✅ Found OpenAPI spec at ${specUrl}`));
-          return { type: "openapi", data: spec, source: specUrl };
-        }
-      }
-    } catch {}
+  // ✅ STEP 2b: Probe common GraphQL endpoints
+  for (const graphqlPath of GRAPHQL_PATHS_TO_PROBE) {
+    const graphqlUrl = new URL(graphqlPath, baseUrl).href;
+    if (graphqlUrl === inputUrl) continue;
+    const result = await probeIntrospection(client, graphqlUrl, logger);
+    if (result) {
+      logger.success(`✅ GraphQL introspection answered at ${graphqlUrl}`);
+      return { type: "graphql", data: result, source: graphqlUrl };
+    }
   }
 
-  // ✅ STEP 3: Fallback to endpoint probing
-  console.log(
-    chalk.yellow("⚠️  No OpenAPI spec found. Probing common endpoints...\n")
+  // ✅ STEP 3: Fallback to endpoint probing (built-in, config and wordlist paths)
+  const paths = [
+    ...new Set([
+      ...COMMON_ENDPOINT_PATHS,
+      ...(probe.paths || []),
+      ...(probe.wordlist ? loadWordlist(probe.wordlist) : []),
+    ]),
+  ];
+  logger.warn(
+    `⚠️  No OpenAPI spec found. Probing ${paths.length} common endpoints...\n`
   );
 
-  const results = [];
-  for (const path of COMMON_ENDPOINT_PATHS) {
-    const result = await probeEndpoint(baseUrl, path);
-    if (result) results.push(result);
-  }
+  const checkAnonymous =
+    Object.keys(probe.headers || {}).length > 0 ||
+    Object.keys(probe.cookies || {}).length > 0;
+  const results = await runPool(paths, probe.concurrency, (path) =>
+    probeEndpoint(client, baseUrl, path, { checkAnonymous })
+  );
 
   return {
     type: "probed",
-    data: results,
+    data: results.filter(Boolean),
     source: baseUrl,
   };
 }
 
+/**
+ * Normalize probe results: one GET per 2xx path, with a response schema
+ * inferred from its JSON body
+ */
 function normalizeProbedResults(probedData) {
   const normalized = { paths: {}, _source: "live-probe" };
+  const tokenObservations = new Map();
 
   for (const result of probedData) {
     if (result.status >= 200 && result.status < 300) {
-      const method = "get";
       normalized.paths[result.path] = normalized.paths[result.path] || {};
-
-      let schema = null;
-      if (result.hasJsonBody && result.sensitiveFields.length > 0) {
-        schema = { properties: {} };
-        result.sensitiveFields.forEach((field) => {
-          const parts = field.split(".");
-          let current = schema.properties;
-          for (let i = 0; i < parts.length - 1; i++) {
-            current[parts[i]] = current[parts[i]] || { properties: {} };
-            current = current[parts[i]].properties;
-          }
-          current[parts[parts.length - 1]] = { type: "string" };
-        });
-      }
-
-      normalized.paths[result.path][method] = {
+      normalized.paths[result.path].get = {
         security: result.authDetected ? ["probed-auth"] : [],
-        responses: schema ? { [result.status]: { schema } } : {},
+        responses:
+          result.body !== undefined
+            ? { [result.status]: { schema: inferSchema(result.body) } }
+            : {},
         _probed: true,
-        _sensitiveFields: result.sensitiveFields,
       };
+
+      // 🎫 JWTs the API hands out
+      for (const token of result.tokens || []) {
+        if (!tokenObservations.has(token)) {
+          tokenObservations.set(token, { operations: new Set(), uses: [] });
+        }
+        tokenObservations.get(token).operations.add(`GET ${result.path}`);
+      }
     }
   }
 
+  normalized._tokens = summarizeTokens(tokenObservations);
   return normalized;
 }
 
-export { scanLiveURL, normalizeProbedResults };
+export {
+  scanLiveURL,
+  normalizeProbedResults,
+  fetchWithTimeout,
+  fetchSpecDocument,
+};
@@ -1,65 +1,148 @@
 import fs from "fs";
+import {
+  inferSchema,
+  mergeSchemas,
+  isJsonMimeType,
+} from "../schemaInference.js";
+import { extractPath, addOperation } from "./collection.js";
 
 function parsePostman(filePath) {
   const content = fs.readFileSync(filePath, "utf8");
   return JSON.parse(content);
 }
 
-function normalizePostman(collection) {
-  const normalized = { paths: {}, security: [] };
+/**
+ * Read a Postman environment export (`{ values: [{ key, value, enabled }] }`)
+ * or a plain `{ key: value }` object into a variable map
+ */
+function loadPostmanEnvironment(environment) {
+  const env =
+    typeof environment === "string"
+      ? JSON.parse(fs.readFileSync(environment, "utf8"))
+      : environment;
+  if (!env || typeof env !== "object") return {};
+  if (!Array.isArray(env.values)) return { ...env };
+  return toVariableMap(env.values);
+}
+
+// Postman `variable`/`values` arrays → { key: value }, skipping disabled entries
+function toVariableMap(list = []) {
+  const variables = {};
+  for (const entry of list) {
+    if (!entry || entry.disabled || entry.enabled === false) continue;
+    if (entry.key === undefined) continue;
+    variables[entry.key] = String(entry.value ?? "");
+  }
+  return variables;
+}
+
+// Raw URL of a request: the string form, or rebuilt from a URL object's host and path
+function getRawUrl(url) {
+  if (typeof url === "string") return url;
+  if (!url || typeof url !== "object") return "";
+  if (url.raw) return url.raw;
+  const host = Array.isArray(url.host) ? url.host.join(".") : url.host;
+  const segments = (url.path || []).map((segment) =>
+    typeof segment === "string" ? segment : segment.value || ""
+  );
+  return [host || "", ...segments].join("/");
+}
 
-  function processItems(items, basePath = "") {
+// An auth block that defers to the parent (absent, null or type "inherit")
+function inheritsAuth(auth) {
+  return auth === undefined || auth === null || auth.type === "inherit";
+}
+
+// Auth mechanism of a Postman auth block: "bearer", "apikey", ... or null for noauth
+function getAuthType(auth) {
+  if (!auth || auth.type === "noauth") return null;
+  return auth.type || "auth";
+}
+
+function hasAuthHeader(headers = []) {
+  return (Array.isArray(headers) ? headers : []).some(
+    (h) =>
+      !h.disabled &&
+      ["authorization", "x-api-key"].includes(String(h.key).toLowerCase())
+  );
+}
+
+// Saved example responses → inferred schemas per status code
+function inferExampleResponses(examples = []) {
+  const responses = {};
+  for (const example of examples) {
+    if (!example || !example.code) continue;
+    const status = String(example.code);
+    responses[status] = responses[status] || {};
+
+    const contentType =
+      (example.header || []).find(
+        (h) => String(h.key).toLowerCase() === "content-type"
+      )?.value || "";
+    const looksJson =
+      isJsonMimeType(contentType) ||
+      example._postman_previewlanguage === "json";
+    if (!looksJson || !example.body) continue;
+
+    try {
+      const schema = inferSchema(JSON.parse(example.body));
+      responses[status].schema = mergeSchemas(responses[status].schema, schema);
+    } catch {}
+  }
+  return responses;
+}
+
+/**
+ * Normalize a Postman collection. Auth is inherited from folders and the
+ * collection unless a request sets its own (`noauth` means none), and
+ * environment variables override collection variables.
+ */
+function normalizePostman(collection, { environment } = {}) {
+  const normalized = { paths: {}, security: [], _source: "postman" };
+  const variables = {
+    ...toVariableMap(collection.variable),
+    ...(environment ? loadPostmanEnvironment(environment) : {}),
+  };
+
+  function processItems(items, inheritedAuth) {
     for (const item of items) {
+      // Folders and requests only override auth when they define it
+      const auth = inheritsAuth(item.auth) ? inheritedAuth : item.auth;
+
       if (item.item) {
         // Folder — recurse
-        processItems(item.item, basePath);
+        processItems(item.item, auth);
       } else if (item.request) {
-        const method = (item.request.method || "GET").toLowerCase();
-
-        // Handle URL (string or object)
-        let rawUrl = "";
-        if (typeof item.request.url === "string") {
-          rawUrl = item.request.url;
-        } else if (item.request.url && item.request.url.raw) {
-          rawUrl = item.request.url.raw;
-        }
-
-        // Extract path (remove protocol/host)
-        let path = "/";
-        try {
-          const url = new URL(
-            rawUrl.startsWith("http") ? rawUrl : `http://localhost${rawUrl}`
-          );
-          path = url.pathname || "/";
-        } catch {
-          // Fallback: assume it's a relative path
-          path = rawUrl.startsWith("/") ? rawUrl : `/${rawUrl}`;
-        }
-
-        // Check auth
-        const hasAuth = !!(
-          item.request.auth ||
-          (item.request.header &&
-            item.request.header.some(
-              (h) => h.key === "Authorization" || h.key === "X-API-Key"
-            ))
-        );
-
-        normalized.paths[path] = normalized.paths[path] || {};
-        normalized.paths[path][method] = {
-          security: hasAuth ? ["postman-auth"] : [],
-          responses: {}, // Postman rarely has response schemas
-          _source: "postman",
-        };
+        const request =
+          typeof item.request === "string"
+            ? { url: item.request }
+            : item.request;
+        const method = (request.method || "GET").toLowerCase();
+        const path = extractPath(getRawUrl(request.url), variables);
+
+        const requestAuth = inheritsAuth(request.auth) ? auth : request.auth;
+        const mechanisms = [
+          getAuthType(requestAuth),
+          hasAuthHeader(request.header) ? "header" : null,
+        ].filter(Boolean);
+
+        addOperation(normalized, path, method, {
+          security: mechanisms.map((type) => `postman-${type}`),
+          responses: inferExampleResponses(item.response),
+          source: "postman",
+        });
       }
     }
   }
 
   if (collection.item) {
-    processItems(collection.item);
+    processItems(
+      collection.item,
+      inheritsAuth(collection.auth) ? null : collection.auth
+    );
   }
 
   return normalized;
 }
 
-export { parsePostman, normalizePostman };
+export { parsePostman, normalizePostman, loadPostmanEnvironment };
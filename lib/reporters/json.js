@@ -0,0 +1,135 @@
+// lib/reporters/json.js
+import {
+  listOperations,
+  shouldIgnorePath,
+  getEffectiveSecurity,
+  requiresAuth,
+} from "../normalizer.js";
+import { countBySeverity } from "../rules.js";
+import { redactConfig } from "../config.js";
+import { fingerprintIssue } from "../baseline.js";
+import { generateThreatModelJSON } from "./threatModel.js";
+import { TOOL_NAME, TOOL_VERSION } from "../version.js";
+
+// Bump the major version on breaking changes to the report shape
+const REPORT_SCHEMA_VERSION = "1.0.0";
+
+/**
+ * Per-endpoint inventory: auth status, schemes used, and issue counts
+ */
+function buildInventory(normalized, issues, config) {
+  return listOperations(normalized).map(({ path, method, op }) => {
+    const security = getEffectiveSecurity(op, normalized);
+    const schemes = (Array.isArray(security) ? security : []).flatMap((req) =>
+      typeof req === "string" ? [req] : Object.keys(req || {})
+    );
+
+    return {
+      method: method.toUpperCase(),
+      path,
+      authenticated: requiresAuth(security),
+      securitySchemes: [...new Set(schemes)],
+      ignored: shouldIgnorePath(path, config.ignorePaths || []),
+      issueCount: issues.filter(
+        (issue) =>
+          !issue.suppressed &&
+          issue.path === path &&
+          issue.method === method.toUpperCase()
+      ).length,
+    };
+  });
+}
+
+// Structured issue fields (the preformatted `detail` string is kept for humans)
+function serializeIssue(issue) {
+  return {
+    ruleId: issue.ruleId,
+    severity: issue.severity,
+    level: issue.level || "error",
+    message: issue.message,
+    method: issue.method || null,
+    path: issue.path || null,
+    scheme: issue.scheme || null,
+    fields: issue.fields || [],
+    regulations: issue.regulations || [],
+    detail: issue.detail,
+    fix: issue.fix,
+    location: issue.location || null,
+    ...(issue.spec ? { spec: issue.spec } : {}),
+    fingerprint: fingerprintIssue(issue),
+    suppressed: issue.suppressed || null,
+  };
+}
+
+/**
+ * Generate a versioned, machine-readable JSON report
+ */
+function generateJSONReport({
+  issues,
+  normalized,
+  specs,
+  input,
+  format,
+  config,
+  startedAt,
+  durationMs,
+  failed,
+  threatModel = false,
+}) {
+  // Summary counts cover active findings; suppressed ones are counted separately
+  const active = issues.filter((issue) => !issue.suppressed);
+  const bySeverity = countBySeverity(active);
+
+  const report = {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    tool: { name: TOOL_NAME, version: TOOL_VERSION },
+    scan: {
+      input,
+      format,
+      ...(specs
+        ? { specs: specs.map(({ source, format }) => ({ source, format })) }
+        : {}),
+      mode: threatModel ? "threat-model" : "scan",
+      startedAt: startedAt.toISOString(),
+      durationMs,
+      config: redactConfig(config),
+    },
+    summary: {
+      totalIssues: active.length,
+      suppressed: issues.length - active.length,
+      bySeverity,
+      failed,
+    },
+    endpoints: specs
+      ? specs.flatMap((spec) =>
+          buildInventory(
+            spec.normalized,
+            issues.filter((issue) => issue.spec === spec.source),
+            config
+          ).map((endpoint) => ({ spec: spec.source, ...endpoint }))
+        )
+      : buildInventory(normalized, issues, config),
+    issues: issues.map(serializeIssue),
+  };
+
+  if (threatModel) {
+    report.threatModel = generateThreatModelJSON(issues);
+  }
+
+  return report;
+}
+
+/**
+ * JSON report for `apishield diff`: what changed between two versions
+ */
+function generateDiffJSONReport(result) {
+  return {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    tool: { name: TOOL_NAME, version: TOOL_VERSION },
+    diff: { old: result.old, new: result.new },
+    summary: result.summary,
+    changes: result.changes,
+  };
+}
+
+export { generateJSONReport, generateDiffJSONReport, REPORT_SCHEMA_VERSION };
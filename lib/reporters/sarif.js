@@ -0,0 +1,142 @@
+// lib/reporters/sarif.js
+import path from "path";
+
+import { RULES, getRuleLevel } from "../rules.js";
+import { fingerprintIssue } from "../baseline.js";
+import { THREAT_MAP } from "./threatModel.js";
+import { locatePointer } from "../sourceLocator.js";
+import { TOOL_NAME, TOOL_VERSION, TOOL_HOMEPAGE } from "../version.js";
+
+const SARIF_SCHEMA = "https://json.schemastore.org/sarif-2.1.0.json";
+const OWASP_API_TOP10 =
+  "https://owasp.org/API-Security/editions/2023/en/0x11-t10/";
+
+// GitHub code scanning reads numeric security-severity (0.1–10.0)
+const SECURITY_SEVERITY = {
+  low: "3.0",
+  medium: "5.5",
+  high: "8.0",
+  critical: "9.5",
+};
+
+// Rule config levels → SARIF levels
+const SARIF_LEVELS = { off: "none", warn: "warning", error: "error" };
+
+// Artifact URIs are relative to the working directory with forward slashes
+function toArtifactUri(location) {
+  if (/^https?:\/\//i.test(location)) return location;
+  return path
+    .relative(process.cwd(), path.resolve(location))
+    .replace(/\\/g, "/");
+}
+
+/**
+ * Build SARIF rule metadata from the rule registry, taking help text from
+ * the issues' fix strings, OWASP references from THREAT_MAP and the default
+ * level from the `rules` config
+ */
+function buildRules(issues, rulesConfig) {
+  return Object.entries(RULES).map(([id, rule]) => {
+    const sample = issues.find((issue) => issue.ruleId === id);
+    const threat =
+      THREAT_MAP[rule.name] || (sample && THREAT_MAP[sample.message]);
+
+    const helpLines = [sample ? sample.fix : rule.description];
+    if (threat) {
+      helpLines.push(`Impact: ${threat.impact}`, `OWASP: ${threat.owasp}`);
+    }
+
+    return {
+      id,
+      name: rule.name,
+      shortDescription: { text: rule.name },
+      fullDescription: { text: rule.description },
+      help: {
+        text: helpLines.join("\n"),
+        markdown: helpLines.join("\n\n"),
+      },
+      helpUri: threat ? OWASP_API_TOP10 : TOOL_HOMEPAGE,
+      defaultConfiguration: {
+        level: SARIF_LEVELS[getRuleLevel(id, rulesConfig)],
+      },
+      properties: {
+        tags: ["security", ...(threat ? [threat.stride] : [])],
+        "security-severity": SECURITY_SEVERITY[rule.severity],
+      },
+    };
+  });
+}
+
+/**
+ * Resolve an issue's `{ file, pointer }` location to a SARIF physical location
+ */
+function buildLocation(issue, input) {
+  const file = issue.location?.file || input;
+  const physicalLocation = {
+    artifactLocation: { uri: toArtifactUri(file), uriBaseId: "%SRCROOT%" },
+  };
+
+  if (issue.location && !/^https?:\/\//i.test(file)) {
+    const line = locatePointer(path.resolve(file), issue.location.pointer);
+    if (line) {
+      physicalLocation.region = { startLine: line };
+    }
+  }
+
+  return { physicalLocation };
+}
+
+/**
+ * Generate a SARIF 2.1.0 log for GitHub code scanning
+ */
+function generateSarif(issues, { input, rules: rulesConfig } = {}) {
+  const rules = buildRules(issues, rulesConfig);
+  const ruleIndex = new Map(rules.map((rule, index) => [rule.id, index]));
+
+  const results = issues.map((issue) => ({
+    ruleId: issue.ruleId,
+    ruleIndex: ruleIndex.get(issue.ruleId),
+    level: SARIF_LEVELS[issue.level] || "error",
+    message: { text: `${issue.message}: ${issue.detail}` },
+    locations: [buildLocation(issue, input)],
+    partialFingerprints: {
+      "apishield/v1": fingerprintIssue(issue),
+    },
+    ...(issue.suppressed
+      ? {
+          suppressions: [
+            {
+              // Inline x-apishield-ignore lives in the spec; baselines are external
+              kind:
+                issue.suppressed.kind === "inline" ? "inSource" : "external",
+              justification: issue.suppressed.justification,
+            },
+          ],
+        }
+      : {}),
+    properties: {
+      severity: issue.severity,
+      ...(issue.regulations ? { regulations: issue.regulations } : {}),
+    },
+  }));
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: "2.1.0",
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: TOOL_NAME,
+            version: TOOL_VERSION,
+            informationUri: TOOL_HOMEPAGE,
+            rules,
+          },
+        },
+        results,
+      },
+    ],
+  };
+}
+
+export { generateSarif };
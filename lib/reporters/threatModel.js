@@ -12,6 +12,118 @@ const THREAT_MAP = {
     owasp: "API1:2023 - Broken Object Level Authorization",
     severity: "high",
   },
+  "Authentication not enforced": {
+    stride: "Elevation of Privilege",
+    impact:
+      "Requests without credentials get the same successful response, so the auth header is decorative.",
+    owasp: "API2:2023 - Broken Authentication",
+    severity: "high",
+  },
+  "Server accepts unauthenticated requests": {
+    stride: "Elevation of Privilege",
+    impact:
+      "The spec promises authentication the server does not check, so anyone can call the endpoint.",
+    owasp: "API2:2023 - Broken Authentication",
+    severity: "critical",
+  },
+  "Server accepts malformed credentials": {
+    stride: "Spoofing",
+    impact:
+      "Any token or key is accepted, so attackers can pose as a user without valid credentials.",
+    owasp: "API2:2023 - Broken Authentication",
+    severity: "critical",
+  },
+  "Low-privilege token accepted": {
+    stride: "Elevation of Privilege",
+    impact:
+      "Ordinary users can call administrative operations the API restricts only on paper.",
+    owasp: "API5:2023 - Broken Function Level Authorization",
+    severity: "high",
+  },
+  "Broken object level authorization": {
+    stride: "Information Disclosure",
+    impact:
+      "Any logged-in user can read or change other users' objects by swapping the ID in the URL.",
+    owasp: "API1:2023 - Broken Object Level Authorization",
+    severity: "critical",
+  },
+  "Insecure cookie attributes": {
+    stride: "Spoofing",
+    impact:
+      "Session cookies without Secure, HttpOnly or SameSite can be stolen over HTTP, read by injected scripts, or replayed cross-site.",
+    owasp: "API8:2023 - Security Misconfiguration",
+    severity: "medium",
+  },
+  "Permissive CORS with credentials": {
+    stride: "Information Disclosure",
+    impact:
+      "A malicious site can make authenticated requests on a victim's behalf and read the responses.",
+    owasp: "API8:2023 - Security Misconfiguration",
+    severity: "high",
+  },
+  "Missing security headers": {
+    stride: "Information Disclosure",
+    impact:
+      "Sensitive responses may be cached by browsers or proxies, downgraded to HTTP, or MIME-sniffed.",
+    owasp: "API8:2023 - Security Misconfiguration",
+    severity: "medium",
+  },
+  "Server version disclosed": {
+    stride: "Information Disclosure",
+    impact:
+      "Exact server and framework versions let attackers pick known exploits.",
+    owasp: "API8:2023 - Security Misconfiguration",
+    severity: "low",
+  },
+  "Unsigned JWT": {
+    stride: "Spoofing",
+    impact:
+      "Anyone can forge a token for any user when signatures aren't required.",
+    owasp: "API2:2023 - Broken Authentication",
+    severity: "critical",
+  },
+  "JWT signed with a guessable key": {
+    stride: "Spoofing",
+    impact:
+      "An attacker who guesses the key can mint valid tokens for any user or role.",
+    owasp: "API2:2023 - Broken Authentication",
+    severity: "critical",
+  },
+  "Long-lived JWT": {
+    stride: "Spoofing",
+    impact:
+      "A stolen token keeps working for days or forever, and logout can't revoke it.",
+    owasp: "API2:2023 - Broken Authentication",
+    severity: "medium",
+  },
+  "Sensitive data in JWT claims": {
+    stride: "Information Disclosure",
+    impact:
+      "JWT payloads are readable by anyone who sees the token: logs, browser storage, proxies.",
+    owasp: "API3:2023 - Broken Object Property Level Authorization",
+    severity: "medium",
+  },
+  "JWT missing issuer or audience": {
+    stride: "Spoofing",
+    impact:
+      "A token issued for one service may be replayed against another that shares the key.",
+    owasp: "API2:2023 - Broken Authentication",
+    severity: "low",
+  },
+  "JWT reused for hours": {
+    stride: "Spoofing",
+    impact:
+      "Long-lived bearer tokens widen the window for replay after theft.",
+    owasp: "API2:2023 - Broken Authentication",
+    severity: "medium",
+  },
+  "Expired JWT accepted": {
+    stride: "Spoofing",
+    impact:
+      "The API ignores token expiry, so stolen or revoked tokens work indefinitely.",
+    owasp: "API2:2023 - Broken Authentication",
+    severity: "high",
+  },
   "Sensitive data exposed in response": {
     stride: "Information Disclosure",
     impact:
@@ -19,6 +131,62 @@ const THREAT_MAP = {
     owasp: "API3:2023 - Excessive Data Exposure",
     severity: "high",
   },
+  "Sensitive data sent to webhook receivers": {
+    stride: "Information Disclosure",
+    impact:
+      "Sensitive data leaves your control: it lands in subscriber systems and logs, or with whoever registered the callback URL.",
+    owasp: "API3:2023 - Excessive Data Exposure",
+    severity: "high",
+  },
+  "Unsigned webhook": {
+    stride: "Spoofing",
+    impact:
+      "Anyone who learns a receiver's URL can forge deliveries, such as fake payment or account events.",
+    owasp: "API2:2023 - Broken Authentication",
+    severity: "medium",
+  },
+  "Mutation without auth directive": {
+    stride: "Elevation of Privilege",
+    impact:
+      "Anyone who can reach the GraphQL endpoint may be able to change or delete data through the mutation.",
+    owasp: "API5:2023 - Broken Function Level Authorization",
+    severity: "high",
+  },
+  "GraphQL introspection enabled": {
+    stride: "Information Disclosure",
+    impact:
+      "Attackers can download the whole schema, including internal and admin-only operations, to plan attacks.",
+    owasp: "API8:2023 - Security Misconfiguration",
+    severity: "medium",
+  },
+  "Unbounded GraphQL list": {
+    stride: "Denial of Service",
+    impact:
+      "Clients can request every record at once, or nest lists to multiply the work, exhausting the server.",
+    owasp: "API4:2023 - Unrestricted Resource Consumption",
+    severity: "medium",
+  },
+  "Credentials in message payload": {
+    stride: "Information Disclosure",
+    impact:
+      "Every consumer, broker log and dead-letter queue that sees the message also gets the credential.",
+    owasp: "API2:2023 - Broken Authentication",
+    severity: "high",
+  },
+  "Sensitive data in message payload": {
+    stride: "Information Disclosure",
+    impact:
+      "Personal data is copied to every subscriber, broker log and retained topic, beyond the reach of deletion requests.",
+    owasp: "API3:2023 - Excessive Data Exposure",
+    severity: "high",
+  },
+  "Plaintext message protocol": {
+    stride: "Tampering",
+    impact:
+      "Messages and connection credentials can be read or altered by anyone on the network path to the broker.",
+    owasp: "API8:2023 - Security Misconfiguration",
+    severity: "medium",
+  },
   "Excessive data exposure": {
     stride: "Information Disclosure",
     impact:
@@ -26,6 +194,76 @@ const THREAT_MAP = {
     owasp: "API3:2023 - Excessive Data Exposure",
     severity: "medium",
   },
+  "Secret passed in query string": {
+    stride: "Information Disclosure",
+    impact:
+      "Credentials in URLs are written to server logs, proxies and browser history where attackers can harvest them.",
+    owasp: "API2:2023 - Broken Authentication",
+    severity: "high",
+  },
+  "Sensitive data sent over insecure transport": {
+    stride: "Information Disclosure",
+    impact:
+      "Anyone on the network path can read or alter sensitive request data sent without TLS.",
+    owasp: "API8:2023 - Security Misconfiguration",
+    severity: "high",
+  },
+  "HTTP Basic authentication": {
+    stride: "Spoofing",
+    impact:
+      "Reusable passwords sent on every request are easy to intercept, replay and brute-force.",
+    owasp: "API2:2023 - Broken Authentication",
+    severity: "medium",
+  },
+  "API key sent in query string": {
+    stride: "Spoofing",
+    impact:
+      "API keys in URLs leak through logs and Referer headers and can be replayed by anyone who sees them.",
+    owasp: "API2:2023 - Broken Authentication",
+    severity: "high",
+  },
+  "Insecure OAuth2 flow": {
+    stride: "Spoofing",
+    impact:
+      "Tokens or user credentials can be intercepted and used to impersonate users.",
+    owasp: "API2:2023 - Broken Authentication",
+    severity: "medium",
+  },
+  "Bearer format not documented": {
+    stride: "Spoofing",
+    impact:
+      "Undocumented token formats make weak token validation easy to miss in review.",
+    owasp: "API2:2023 - Broken Authentication",
+    severity: "low",
+  },
+  "Optional authentication": {
+    stride: "Spoofing",
+    impact:
+      "Anonymous callers can reach the endpoint even though it looks protected.",
+    owasp: "API2:2023 - Broken Authentication",
+    severity: "medium",
+  },
+  "Undefined security scheme": {
+    stride: "Spoofing",
+    impact:
+      "The endpoint refers to authentication that doesn't exist, so it may not be enforced at all.",
+    owasp: "API8:2023 - Security Misconfiguration",
+    severity: "high",
+  },
+  "Secret value exposed": {
+    stride: "Information Disclosure",
+    impact:
+      "A working key or token in traffic or documentation lets anyone who reads it act as its owner.",
+    owasp: "API8:2023 - Security Misconfiguration",
+    severity: "critical",
+  },
+  "Personal data value exposed": {
+    stride: "Information Disclosure",
+    impact:
+      "Real personal or payment data in responses or published examples can be harvested by unauthorized parties.",
+    owasp: "API3:2023 - Broken Object Property Level Authorization",
+    severity: "medium",
+  },
   // Compliance violations
   "GDPR compliance violation": {
     stride: "Information Disclosure",
@@ -107,8 +345,11 @@ function generateThreatModel(issues) {
     console.log(chalk.gray(`${threats.length} threat(s) identified\n`));
 
     threats.forEach((issue, index) => {
+      const severity = issue.severity || issue.threat.severity;
       const severityColor =
-        issue.threat.severity === "high" ? chalk.red : chalk.yellow;
+        severity === "high" || severity === "critical"
+          ? chalk.red
+          : chalk.yellow;
 
       console.log(severityColor(`${index + 1}. ${issue.message}`));
       console.log(chalk.gray(`   → ${issue.detail}`));
@@ -132,14 +373,14 @@ function generateThreatModel(issues) {
 
   const severityCounts = issues.reduce((acc, issue) => {
     const threat = THREAT_MAP[issue.message];
-    const severity = threat?.severity || issue.severity || "unknown";
+    const severity = issue.severity || threat?.severity || "unknown";
     acc[severity] = (acc[severity] || 0) + 1;
     return acc;
   }, {});
 
   Object.entries(severityCounts).forEach(([severity, count]) => {
     const color =
-      severity === "high"
+      severity === "high" || severity === "critical"
         ? chalk.red
         : severity === "medium"
         ? chalk.yellow
@@ -168,6 +409,7 @@ function generateThreatModelJSON(issues) {
     };
 
     return {
+      ruleId: issue.ruleId,
       message: issue.message,
       detail: issue.detail,
       fix: issue.fix,
@@ -176,6 +418,9 @@ function generateThreatModelJSON(issues) {
       impact: threat.impact,
       owasp: threat.owasp,
       regulations: issue.regulations || null,
+      method: issue.method || null,
+      path: issue.path || null,
+      suppressed: issue.suppressed || null,
     };
   });
 
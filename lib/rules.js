@@ -0,0 +1,337 @@
+// lib/rules.js
+
+// Rule registry: stable IDs, default severities, and config-driven levels.
+import { consoleLogger, silentLogger } from "./logger.js";
+
+const SEVERITIES = ["low", "medium", "high", "critical"];
+const LEVELS = ["off", "warn", "error"];
+
+/**
+ * Every check APIShield runs, keyed by a stable rule ID
+ */
+const RULES = {
+  "missing-auth": {
+    name: "Missing authentication",
+    severity: "high",
+    description: "Operation has no security requirement.",
+  },
+  "sensitive-data": {
+    name: "Sensitive data exposed in response",
+    severity: "high",
+    description:
+      "Response contains credentials, personal, financial or other sensitive fields.",
+  },
+  "compliance-violation": {
+    name: "Compliance violation",
+    severity: "high",
+    description:
+      "Endpoint exposes or collects data regulated under the selected compliance mode.",
+  },
+  "excessive-data": {
+    name: "Excessive data exposure",
+    severity: "medium",
+    description: "Response object returns more than 20 fields.",
+  },
+  "query-secret": {
+    name: "Secret passed in query string",
+    severity: "high",
+    description:
+      "Operation accepts a credential or secret as a query parameter.",
+  },
+  "insecure-transport": {
+    name: "Sensitive data sent over insecure transport",
+    severity: "high",
+    description:
+      "Operation accepts sensitive data and the API lists plain-HTTP servers.",
+  },
+  "http-basic-auth": {
+    name: "HTTP Basic authentication",
+    severity: "medium",
+    description: "Security scheme uses HTTP Basic authentication.",
+  },
+  "apikey-in-query": {
+    name: "API key sent in query string",
+    severity: "high",
+    description: "apiKey security scheme is located in the query string.",
+  },
+  "insecure-oauth-flow": {
+    name: "Insecure OAuth2 flow",
+    severity: "medium",
+    description: "OAuth2 scheme uses the implicit or password flow.",
+  },
+  "bearer-format-missing": {
+    name: "Bearer format not documented",
+    severity: "low",
+    description: "HTTP bearer scheme does not declare a bearerFormat.",
+  },
+  "mixed-auth": {
+    name: "Authentication not enforced",
+    severity: "high",
+    description:
+      "Captured traffic shows the same operation succeeding both with and without credentials.",
+  },
+  "unauthenticated-access": {
+    name: "Server accepts unauthenticated requests",
+    severity: "critical",
+    description:
+      "apishield verify: an operation the spec says requires auth returned 2xx without credentials.",
+  },
+  "invalid-credentials": {
+    name: "Server accepts malformed credentials",
+    severity: "critical",
+    description:
+      "apishield verify: an operation that requires auth returned 2xx for a malformed token, key or password.",
+  },
+  "privilege-not-enforced": {
+    name: "Low-privilege token accepted",
+    severity: "high",
+    description:
+      "apishield verify: a privileged operation (OAuth scopes or verify.privilegedPaths) returned 2xx for the configured low-privilege token.",
+  },
+  bola: {
+    name: "Broken object level authorization",
+    severity: "critical",
+    description:
+      "apishield verify: user B got user A's object (or changed it, with --allow-mutating) through an {id} operation.",
+  },
+  "insecure-cookie": {
+    name: "Insecure cookie attributes",
+    severity: "medium",
+    description:
+      "Captured Set-Cookie header lacks Secure, SameSite, or HttpOnly on a session cookie.",
+  },
+  "cors-credentials-wildcard": {
+    name: "Permissive CORS with credentials",
+    severity: "high",
+    description:
+      "Captured response allows any origin (*) while allowing credentials.",
+  },
+  "missing-security-headers": {
+    name: "Missing security headers",
+    severity: "medium",
+    description:
+      "Captured response with sensitive data lacks HSTS, X-Content-Type-Options: nosniff or Cache-Control: no-store.",
+  },
+  "version-disclosure": {
+    name: "Server version disclosed",
+    severity: "low",
+    description:
+      "Captured response headers reveal server or framework versions.",
+  },
+  "jwt-alg-none": {
+    name: "Unsigned JWT",
+    severity: "critical",
+    description: "A token observed in traffic uses alg: none.",
+  },
+  "jwt-weak-secret": {
+    name: "JWT signed with a guessable key",
+    severity: "critical",
+    description:
+      "An HMAC-signed token verifies with a key from APIShield's built-in wordlist.",
+  },
+  "jwt-expiry": {
+    name: "Long-lived JWT",
+    severity: "medium",
+    description:
+      "A token has no exp claim or stays valid for more than 24 hours.",
+  },
+  "jwt-sensitive-claims": {
+    name: "Sensitive data in JWT claims",
+    severity: "medium",
+    description: "A token carries personal data or roles in readable claims.",
+  },
+  "jwt-missing-claims": {
+    name: "JWT missing issuer or audience",
+    severity: "low",
+    description: "A token has no iss or aud claim to scope where it is valid.",
+  },
+  "jwt-reuse": {
+    name: "JWT reused for hours",
+    severity: "medium",
+    description:
+      "The same bearer token appears across more than 4 hours of captured traffic.",
+  },
+  "jwt-expired-accepted": {
+    name: "Expired JWT accepted",
+    severity: "high",
+    description:
+      "A request carrying a token past its exp claim still got a 2xx response.",
+  },
+  "webhook-sensitive-data": {
+    name: "Sensitive data sent to webhook receivers",
+    severity: "high",
+    description:
+      "A webhook or callback payload carries credentials, personal or other sensitive fields to a third-party URL.",
+  },
+  "webhook-signature-missing": {
+    name: "Unsigned webhook",
+    severity: "medium",
+    description:
+      "A webhook or callback documents no signature header or security requirement receivers could verify.",
+  },
+  "graphql-mutation-auth": {
+    name: "Mutation without auth directive",
+    severity: "high",
+    description:
+      "A GraphQL mutation has none of the configured auth directives on the field or the Mutation type.",
+  },
+  "graphql-introspection": {
+    name: "GraphQL introspection enabled",
+    severity: "medium",
+    description: "A live GraphQL endpoint answers the introspection query.",
+  },
+  "graphql-unbounded-list": {
+    name: "Unbounded GraphQL list",
+    severity: "medium",
+    description:
+      "A list field of objects takes no pagination argument to limit its size.",
+  },
+  "message-credentials": {
+    name: "Credentials in message payload",
+    severity: "high",
+    description:
+      "An AsyncAPI message payload carries passwords, tokens, keys or other secrets.",
+  },
+  "insecure-protocol": {
+    name: "Plaintext message protocol",
+    severity: "medium",
+    description:
+      "An AsyncAPI server uses ws, mqtt, amqp, kafka or another protocol without TLS (high when the server requires credentials).",
+  },
+  "optional-auth": {
+    name: "Optional authentication",
+    severity: "medium",
+    description:
+      "Security requirement array contains an empty {} entry, making auth optional.",
+  },
+  "undefined-security-scheme": {
+    name: "Undefined security scheme",
+    severity: "high",
+    description:
+      "Security requirement references a scheme that is not defined.",
+  },
+  "secret-value": {
+    name: "Secret value exposed",
+    severity: "critical",
+    description:
+      "A captured body/header or spec example contains a value that looks like a real key, token or private key.",
+  },
+  "pii-value": {
+    name: "Personal data value exposed",
+    severity: "medium",
+    description:
+      "A captured body/header or spec example contains a card number, IBAN, SSN, email or phone number.",
+  },
+};
+
+// Legacy camelCase config keys → rule IDs
+const RULE_ALIASES = {
+  missingAuth: "missing-auth",
+  sensitiveData: "sensitive-data",
+};
+
+/**
+ * Build an issue for a rule, defaulting severity from the registry
+ */
+function createIssue(ruleId, issue) {
+  return { ruleId, severity: RULES[ruleId].severity, ...issue };
+}
+
+/**
+ * Resolve aliases in a `rules` config object and drop unknown rule IDs
+ */
+function normalizeRuleConfig(rules = {}, logger = consoleLogger) {
+  const normalized = {};
+  for (const [key, value] of Object.entries(rules)) {
+    const ruleId = RULE_ALIASES[key] || key;
+    if (!RULES[ruleId]) {
+      logger.warn(`⚠️  Unknown rule in config: ${key}`);
+      continue;
+    }
+    normalized[ruleId] = value;
+  }
+  return normalized;
+}
+
+/**
+ * Parse one rule setting into `{ level, severity }`.
+ * Accepts "off" | "warn" | "error", a severity name, or `{ level, severity }`.
+ */
+function parseRuleSetting(setting) {
+  if (typeof setting === "string") {
+    if (LEVELS.includes(setting)) return { level: setting };
+    if (SEVERITIES.includes(setting)) {
+      return { level: "error", severity: setting };
+    }
+  } else if (setting && typeof setting === "object") {
+    return {
+      level: LEVELS.includes(setting.level) ? setting.level : "error",
+      severity: SEVERITIES.includes(setting.severity)
+        ? setting.severity
+        : undefined,
+    };
+  }
+  return { level: "error" };
+}
+
+/**
+ * Apply the `rules` config: drop "off" rules, override severities,
+ * and tag each issue with its level ("warn" issues never fail the build).
+ * Unknown rules are reported once, by `resolveConfig`; here they are skipped quietly.
+ */
+function applyRuleConfig(issues, rules = {}) {
+  const settings = normalizeRuleConfig(rules, silentLogger);
+
+  return issues.flatMap((issue) => {
+    const { level, severity } = parseRuleSetting(settings[issue.ruleId]);
+    if (level === "off") return [];
+    return [{ ...issue, severity: severity || issue.severity, level }];
+  });
+}
+
+/**
+ * Configured level of one rule: "off", "warn" or "error" (the default)
+ */
+function getRuleLevel(ruleId, rules = {}) {
+  return parseRuleSetting(normalizeRuleConfig(rules, silentLogger)[ruleId])
+    .level;
+}
+
+// Numeric rank for comparing severities
+function severityRank(severity) {
+  return SEVERITIES.indexOf(severity);
+}
+
+// Count issues (or diff changes) per severity: { low, medium, high, critical }
+function countBySeverity(items) {
+  return Object.fromEntries(
+    SEVERITIES.map((severity) => [
+      severity,
+      items.filter((item) => item.severity === severity).length,
+    ])
+  );
+}
+
+/**
+ * Should the scan fail? True when any unsuppressed error-level issue meets the threshold.
+ */
+function shouldFail(issues, failOn = "low") {
+  return issues.some(
+    (issue) =>
+      !issue.suppressed &&
+      issue.level !== "warn" &&
+      severityRank(issue.severity) >= severityRank(failOn)
+  );
+}
+
+export {
+  RULES,
+  SEVERITIES,
+  createIssue,
+  normalizeRuleConfig,
+  applyRuleConfig,
+  getRuleLevel,
+  severityRank,
+  countBySeverity,
+  shouldFail,
+};
@@ -0,0 +1,69 @@
+// lib/schemaInference.js
+
+// Infers JSON schemas from observed bodies (HAR captures, Postman examples) and merges samples.
+
+// application/json, application/json; charset=utf-8, application/vnd.api+json, ...
+function isJsonMimeType(mimeType = "") {
+  const type = mimeType.split(";")[0].trim().toLowerCase();
+  return type === "application/json" || type.endsWith("+json");
+}
+
+function inferSchema(obj) {
+  if (obj === null) return { type: "null" };
+  if (typeof obj !== "object") return { type: typeof obj };
+  if (Array.isArray(obj)) {
+    // Every element, not just the first: lists often mix shapes
+    return {
+      type: "array",
+      items: obj.map(inferSchema).reduce(mergeSchemas, null) || {},
+    };
+  }
+  const properties = {};
+  for (const [key, value] of Object.entries(obj)) {
+    properties[key] = inferSchema(value);
+  }
+  return { type: "object", properties };
+}
+
+/**
+ * Merge two inferred schemas: object properties are unioned, nulls become
+ * `nullable`, and genuinely different types become `anyOf`
+ */
+function mergeSchemas(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  if (a.type === "null") return { ...b, nullable: true };
+  if (b.type === "null") return { ...a, nullable: true };
+
+  const nullable = a.nullable || b.nullable ? { nullable: true } : {};
+  if (a.anyOf || b.anyOf) {
+    return (b.anyOf || [b]).reduce(
+      (merged, schema) => {
+        const variants = merged.anyOf;
+        const index = variants.findIndex((v) => v.type === schema.type);
+        if (index === -1) variants.push(schema);
+        else variants[index] = mergeSchemas(variants[index], schema);
+        return merged;
+      },
+      { anyOf: [...(a.anyOf || [a])], ...nullable }
+    );
+  }
+  if (a.type !== b.type) return { anyOf: [a, b], ...nullable };
+  if (a.type === "array") {
+    return {
+      type: "array",
+      items: mergeSchemas(a.items, b.items),
+      ...nullable,
+    };
+  }
+  if (a.type === "object") {
+    const properties = { ...a.properties };
+    for (const [key, schema] of Object.entries(b.properties || {})) {
+      properties[key] = mergeSchemas(properties[key], schema);
+    }
+    return { type: "object", properties, ...nullable };
+  }
+  return { ...a, ...nullable };
+}
+
+export { inferSchema, mergeSchemas, isJsonMimeType };
@@ -0,0 +1,118 @@
+// lib/schemaWalker.js
+
+// JSON-Schema-aware traversal shared by the sensitive-data and excessive-data checks.
+
+// Guard against pathological nesting even when $refs were resolved without cycles
+const MAX_DEPTH = 32;
+
+const COMPOSITION_KEYWORDS = ["allOf", "oneOf", "anyOf"];
+
+// Properties that never appear in a given direction of the exchange
+const OMITTED_BY_CONTEXT = {
+  response: "writeOnly",
+  request: "readOnly",
+};
+
+function joinPath(prefix, name) {
+  return prefix ? `${prefix}.${name}` : name;
+}
+
+// Is a keyword set on a schema or one of its allOf members? (`$ref` siblings are merged into the schema itself)
+function hasFlag(schema, keyword) {
+  if (!schema || typeof schema !== "object") return false;
+  return (
+    schema[keyword] === true ||
+    (Array.isArray(schema.allOf) &&
+      schema.allOf.some((member) => member && member[keyword] === true))
+  );
+}
+
+/**
+ * Flatten a schema into its fields and object nodes.
+ *
+ * Field paths are clean dotted paths: `data[].user.password`
+ * - array items (and 3.1 prefixItems) add `[]`, additionalProperties add `*`
+ * - allOf/oneOf/anyOf members are merged into the parent object
+ * - with `context: "response"` writeOnly properties are skipped; with `"request"`, readOnly ones
+ *
+ * Returns `{ fields: [{ path, name, schema }], objects: [{ path, fieldCount }] }`.
+ */
+function flattenSchema(schema, { context } = {}) {
+  const omitted = OMITTED_BY_CONTEXT[context];
+  const fields = [];
+  const fieldPaths = new Set();
+  const objects = new Map(); // object path -> Set of property names
+
+  function visit(node, prefix, ancestors) {
+    if (!node || typeof node !== "object" || Array.isArray(node)) return;
+    if (node._circular || ancestors.includes(node)) return;
+    if (ancestors.length >= MAX_DEPTH) return;
+
+    const chain = [...ancestors, node];
+
+    for (const keyword of COMPOSITION_KEYWORDS) {
+      if (Array.isArray(node[keyword])) {
+        node[keyword].forEach((member) => visit(member, prefix, chain));
+      }
+    }
+
+    if (node.properties && typeof node.properties === "object") {
+      const names = objects.get(prefix) || new Set();
+      objects.set(prefix, names);
+
+      for (const [name, propSchema] of Object.entries(node.properties)) {
+        if (omitted && hasFlag(propSchema, omitted)) continue;
+        const fieldPath = joinPath(prefix, name);
+        names.add(name);
+        if (!fieldPaths.has(fieldPath)) {
+          fieldPaths.add(fieldPath);
+          fields.push({ path: fieldPath, name, schema: propSchema });
+        }
+        visit(propSchema, fieldPath, chain);
+      }
+    }
+
+    // Tuple positions (3.1 prefixItems, 3.0-style items arrays) share the `[]` path
+    const itemSchemas = [
+      ...(Array.isArray(node.prefixItems) ? node.prefixItems : []),
+      ...(node.items ? [node.items].flat() : []),
+    ];
+    itemSchemas.forEach((item) => visit(item, `${prefix}[]`, chain));
+
+    if (
+      node.additionalProperties &&
+      typeof node.additionalProperties === "object"
+    ) {
+      visit(node.additionalProperties, joinPath(prefix, "*"), chain);
+    }
+  }
+
+  visit(schema, "", []);
+
+  return {
+    fields,
+    objects: [...objects.entries()].map(([path, names]) => ({
+      path,
+      fieldCount: names.size,
+    })),
+  };
+}
+
+/**
+ * Find the object node with the most fields (used by the excessive-data check)
+ */
+function findLargestObject(schema, options = {}) {
+  const { objects } = flattenSchema(schema, options);
+  return objects.reduce(
+    (largest, obj) =>
+      !largest || obj.fieldCount > largest.fieldCount ? obj : largest,
+    null
+  );
+}
+
+// Strip array/map markers so the last segment is the plain field name
+function fieldNameFromPath(fieldPath) {
+  return fieldPath.split(".").pop().replace(/\[\]$/, "");
+}
+
+export { flattenSchema, findLargestObject, fieldNameFromPath };
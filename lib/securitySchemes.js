@@ -0,0 +1,196 @@
+// lib/securitySchemes.js
+
+// Security scheme quality analysis (OpenAPI 3.x securitySchemes / Swagger 2.0 securityDefinitions).
+import { createIssue } from "./rules.js";
+import { getSourceLocation, toPointer } from "./dereference.js";
+
+// Swagger 2.0 OAuth2 flow names → OpenAPI 3.x flow names
+const SWAGGER2_FLOWS = {
+  implicit: "implicit",
+  password: "password",
+  application: "clientCredentials",
+  accessCode: "authorizationCode",
+};
+
+// Flows removed by OAuth 2.1 / discouraged by the OAuth Security BCP
+const INSECURE_OAUTH_FLOWS = {
+  implicit: "access tokens are returned in the URL fragment",
+  password: "the client handles the user's raw credentials",
+};
+
+/**
+ * Convert a Swagger 2.0 security definition to the OpenAPI 3.x shape
+ */
+function normalizeSwagger2Scheme(def) {
+  if (def.type === "basic") {
+    return { ...def, type: "http", scheme: "basic" };
+  }
+  if (def.type === "oauth2") {
+    const { flow, authorizationUrl, tokenUrl, scopes, ...rest } = def;
+    const flowName = SWAGGER2_FLOWS[flow] || flow;
+    return {
+      ...rest,
+      type: "oauth2",
+      flows: {
+        [flowName]: { authorizationUrl, tokenUrl, scopes: scopes || {} },
+      },
+    };
+  }
+  return def;
+}
+
+/**
+ * Get all security schemes of a normalized spec in OpenAPI 3.x shape
+ */
+function getSecuritySchemes(normalizedSpec) {
+  if (normalizedSpec._securityDefinitions) {
+    return Object.fromEntries(
+      Object.entries(normalizedSpec._securityDefinitions).map(([name, def]) => [
+        name,
+        normalizeSwagger2Scheme(def || {}),
+      ])
+    );
+  }
+  return normalizedSpec.components?.securitySchemes || {};
+}
+
+// Where a scheme is defined in the original spec
+function getSchemeLocation(normalizedSpec, name) {
+  const raw = normalizedSpec._securityDefinitions
+    ? normalizedSpec._securityDefinitions[name]
+    : normalizedSpec.components?.securitySchemes?.[name];
+  return (
+    getSourceLocation(raw) || {
+      file: null,
+      pointer: normalizedSpec._securityDefinitions
+        ? toPointer(["securityDefinitions", name])
+        : toPointer(["components", "securitySchemes", name]),
+    }
+  );
+}
+
+/**
+ * Scheme-level findings: weak scheme types and flows, undocumented token formats
+ */
+function scanSecuritySchemes(normalizedSpec) {
+  const issues = [];
+
+  for (const [name, scheme] of Object.entries(
+    getSecuritySchemes(normalizedSpec)
+  )) {
+    if (!scheme || typeof scheme !== "object") continue;
+
+    const type = (scheme.type || "").toLowerCase();
+    const location = getSchemeLocation(normalizedSpec, name);
+    const httpScheme = (scheme.scheme || "").toLowerCase();
+
+    // 🔑 HTTP Basic sends a reusable password with every request
+    if (type === "http" && httpScheme === "basic") {
+      issues.push(
+        createIssue("http-basic-auth", {
+          message: "HTTP Basic authentication",
+          detail: `Security scheme '${name}' uses HTTP Basic — the user's password is sent with every request.`,
+          fix: "Use short-lived bearer tokens (OAuth2/OIDC) or signed API keys instead of HTTP Basic.",
+          scheme: name,
+          location,
+        })
+      );
+    }
+
+    // 🔗 API keys in the query string leak into logs and Referer headers
+    if (type === "apikey" && scheme.in === "query") {
+      issues.push(
+        createIssue("apikey-in-query", {
+          message: "API key sent in query string",
+          detail: `Security scheme '${name}' expects the API key in query parameter '${scheme.name}'.`,
+          fix: "Accept the API key in a header (e.g. X-API-Key) instead of the URL.",
+          scheme: name,
+          location,
+        })
+      );
+    }
+
+    // 🔄 OAuth2 implicit / password flows
+    if (type === "oauth2") {
+      for (const flow of Object.keys(scheme.flows || {})) {
+        if (INSECURE_OAUTH_FLOWS[flow]) {
+          issues.push(
+            createIssue("insecure-oauth-flow", {
+              message: "Insecure OAuth2 flow",
+              detail: `Security scheme '${name}' uses the OAuth2 ${flow} flow — ${INSECURE_OAUTH_FLOWS[flow]}.`,
+              fix: "Use the authorization code flow with PKCE (or client credentials for machine-to-machine).",
+              scheme: name,
+              location,
+            })
+          );
+        }
+      }
+    }
+
+    // 📝 Bearer tokens without a documented format
+    if (type === "http" && httpScheme === "bearer" && !scheme.bearerFormat) {
+      issues.push(
+        createIssue("bearer-format-missing", {
+          message: "Bearer format not documented",
+          detail: `Security scheme '${name}' uses bearer tokens but does not declare a bearerFormat.`,
+          fix: "Add 'bearerFormat' (e.g. JWT) so clients and reviewers know how tokens are issued and validated.",
+          scheme: name,
+          location,
+        })
+      );
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Operation-level findings for an effective security requirement array
+ */
+function checkSecurityRequirements(opId, security, schemes, location) {
+  const issues = [];
+  if (!Array.isArray(security)) return issues;
+
+  // Requirement objects only — HAR/Postman/probe inputs use string markers
+  const requirements = security.filter(
+    (req) => req && typeof req === "object" && !Array.isArray(req)
+  );
+
+  // 🚪 An empty {} requirement makes authentication optional
+  if (
+    requirements.length > 1 &&
+    requirements.some((req) => Object.keys(req).length === 0)
+  ) {
+    issues.push(
+      createIssue("optional-auth", {
+        message: "Optional authentication",
+        detail: `${opId} lists an empty security requirement ({}), so anonymous requests are accepted.`,
+        fix: "Remove the empty {} entry unless the endpoint is intentionally public.",
+        location,
+      })
+    );
+  }
+
+  // ❓ References to schemes that don't exist
+  const undefinedNames = [
+    ...new Set(
+      requirements.flatMap((req) => Object.keys(req)).filter((n) => !schemes[n])
+    ),
+  ];
+  if (undefinedNames.length > 0) {
+    issues.push(
+      createIssue("undefined-security-scheme", {
+        message: "Undefined security scheme",
+        detail: `${opId} references undefined security scheme(s): ${undefinedNames.join(
+          ", "
+        )}`,
+        fix: "Define the scheme under components.securitySchemes (or securityDefinitions in Swagger 2.0).",
+        location,
+      })
+    );
+  }
+
+  return issues;
+}
+
+export { getSecuritySchemes, scanSecuritySchemes, checkSecurityRequirements };
@@ -0,0 +1,235 @@
+// lib/sourceLocator.js
+
+// Maps JSON pointers back to line numbers in the original YAML/JSON file (for SARIF locations).
+import fs from "fs";
+
+const fileCache = new Map();
+
+function decodeToken(token) {
+  return token.replace(/~1/g, "/").replace(/~0/g, "~");
+}
+
+function pointerTokens(pointer) {
+  return pointer ? pointer.split("/").slice(1).map(decodeToken) : [];
+}
+
+/**
+ * Index every JSON pointer in a JSON document → 1-based line of its key/item
+ */
+function indexJsonLines(text) {
+  const lines = new Map();
+  let pos = 0;
+  let line = 1;
+
+  const skipWhitespace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) {
+      if (text[pos] === "\n") line++;
+      pos++;
+    }
+  };
+
+  const readString = () => {
+    let value = "";
+    pos++; // opening quote
+    while (pos < text.length && text[pos] !== '"') {
+      if (text[pos] === "\\") {
+        value += text.slice(pos, pos + 2);
+        pos += 2;
+      } else {
+        value += text[pos++];
+      }
+    }
+    pos++; // closing quote
+    return JSON.parse(`"${value}"`);
+  };
+
+  const readValue = (pointer) => {
+    skipWhitespace();
+    lines.set(pointer, lines.get(pointer) || line);
+
+    if (text[pos] === "{") {
+      pos++;
+      skipWhitespace();
+      while (pos < text.length && text[pos] !== "}") {
+        const keyLine = line;
+        const key = readString();
+        const childPointer = `${pointer}/${key
+          .replace(/~/g, "~0")
+          .replace(/\//g, "~1")}`;
+        lines.set(childPointer, keyLine);
+        skipWhitespace();
+        pos++; // colon
+        readValue(childPointer);
+        skipWhitespace();
+        if (text[pos] === ",") pos++;
+        skipWhitespace();
+      }
+      pos++;
+    } else if (text[pos] === "[") {
+      pos++;
+      skipWhitespace();
+      let index = 0;
+      while (pos < text.length && text[pos] !== "]") {
+        readValue(`${pointer}/${index++}`);
+        skipWhitespace();
+        if (text[pos] === ",") pos++;
+        skipWhitespace();
+      }
+      pos++;
+    } else if (text[pos] === '"') {
+      readString();
+    } else {
+      while (pos < text.length && !/[\s,\]}]/.test(text[pos])) pos++;
+    }
+  };
+
+  readValue("");
+  return lines;
+}
+
+// Split a YAML line into indentation, sequence-item marker and mapping key
+function parseYamlLine(raw) {
+  const trimmed = raw.trimStart();
+  if (!trimmed || trimmed.startsWith("#")) return null;
+
+  let indent = raw.length - trimmed.length;
+  let content = trimmed;
+  let itemIndent = null;
+
+  if (content === "-" || content.startsWith("- ")) {
+    itemIndent = indent;
+    const rest = content.slice(1);
+    const restTrimmed = rest.trimStart();
+    indent += 1 + (rest.length - restTrimmed.length);
+    content = restTrimmed;
+  }
+
+  const match = content.match(
+    /^(?:"((?:[^"\\]|\\.)*)"|'((?:[^']|'')*)'|([^\s#'"{[][^:#]*?))\s*:(?:\s|$)/
+  );
+  const key = match
+    ? match[1] !== undefined
+      ? match[1]
+      : match[2] !== undefined
+      ? match[2].replace(/''/g, "'")
+      : match[3]
+    : null;
+
+  return { indent, itemIndent, key };
+}
+
+/**
+ * Find the 1-based line of a JSON pointer in a block-style YAML document.
+ * Returns the deepest line found (flow-style nodes resolve to their parent).
+ */
+function locateYamlLine(text, pointer) {
+  const lines = text.split(/\r?\n/).map(parseYamlLine);
+  let start = 0;
+  let end = lines.length;
+  let found = null;
+
+  for (const token of pointerTokens(pointer)) {
+    const first = lines.slice(start, end).findIndex(Boolean);
+    if (first === -1) break;
+    const firstLine = lines[start + first];
+    let match = -1;
+
+    if (/^\d+$/.test(token) && firstLine.itemIndent !== null) {
+      // Sequence item: count "- " lines at the sequence's indentation
+      let count = -1;
+      for (let i = start; i < end; i++) {
+        if (lines[i] && lines[i].itemIndent === firstLine.itemIndent) {
+          if (++count === Number(token)) {
+            match = i;
+            break;
+          }
+        }
+      }
+      if (match === -1) break;
+      const itemIndent = firstLine.itemIndent;
+      let next = match + 1;
+      while (
+        next < end &&
+        !(
+          lines[next] &&
+          (lines[next].indent <= itemIndent ||
+            (lines[next].itemIndent !== null &&
+              lines[next].itemIndent <= itemIndent))
+        )
+      ) {
+        next++;
+      }
+      start = match; // Inline "- key: value" belongs to the item
+      end = next;
+    } else {
+      // Mapping key at the block's indentation
+      const childIndent = firstLine.indent;
+      for (let i = start; i < end; i++) {
+        if (
+          lines[i] &&
+          lines[i].indent === childIndent &&
+          lines[i].key === token
+        ) {
+          match = i;
+          break;
+        }
+      }
+      if (match === -1) break;
+      let next = match + 1;
+      while (
+        next < end &&
+        !(lines[next] && lines[next].indent <= childIndent)
+      ) {
+        next++;
+      }
+      start = match + 1;
+      end = next;
+    }
+
+    found = match + 1;
+  }
+
+  return found;
+}
+
+/**
+ * Resolve a JSON pointer in a spec file to a 1-based line number (null if unknown)
+ */
+function locatePointer(filePath, pointer) {
+  if (!filePath) return null;
+
+  if (!fileCache.has(filePath)) {
+    let text = null;
+    try {
+      text = fs.readFileSync(filePath, "utf8");
+    } catch {}
+    fileCache.set(filePath, { text, jsonLines: null });
+  }
+  const cached = fileCache.get(filePath);
+  if (cached.text === null) return null;
+
+  if (/^\s*[{[]/.test(cached.text)) {
+    try {
+      cached.jsonLines = cached.jsonLines || indexJsonLines(cached.text);
+    } catch {
+      return null;
+    }
+    // Fall back to the nearest ancestor that exists
+    const tokens = pointerTokens(pointer);
+    while (tokens.length >= 0) {
+      const candidate = tokens
+        .map((t) => `/${t.replace(/~/g, "~0").replace(/\//g, "~1")}`)
+        .join("");
+      if (cached.jsonLines.has(candidate)) {
+        return cached.jsonLines.get(candidate);
+      }
+      if (tokens.length === 0) break;
+      tokens.pop();
+    }
+    return null;
+  }
+
+  return locateYamlLine(cached.text, pointer);
+}
+
+export { locatePointer };
@@ -0,0 +1,100 @@
+// lib/suppressions.js
+
+// Inline suppressions via the `x-apishield-ignore` OpenAPI extension.
+//
+//   x-apishield-ignore: [sensitive-data]
+//   x-apishield-justification: "Hash only, consumed by the legacy mobile app"
+//
+// or per rule:
+//
+//   x-apishield-ignore:
+//     - rule: sensitive-data
+//       justification: "Hash only, consumed by the legacy mobile app"
+import { consoleLogger } from "./logger.js";
+
+const IGNORE_KEY = "x-apishield-ignore";
+const JUSTIFICATION_KEY = "x-apishield-justification";
+
+// Nodes already warned about, so a shared $ref target only warns once
+const warnedNodes = new WeakSet();
+
+/**
+ * Parse a node's x-apishield-ignore into `[{ rule, justification }]`
+ */
+function readIgnoreEntries(node) {
+  if (!node || typeof node !== "object" || !(IGNORE_KEY in node)) return [];
+
+  const raw = node[IGNORE_KEY];
+  const shared =
+    typeof node[JUSTIFICATION_KEY] === "string"
+      ? node[JUSTIFICATION_KEY].trim()
+      : "";
+
+  return (Array.isArray(raw) ? raw : [raw]).flatMap((entry) => {
+    if (typeof entry === "string") {
+      return [{ rule: entry, justification: shared }];
+    }
+    if (entry && typeof entry === "object" && typeof entry.rule === "string") {
+      const justification =
+        typeof entry.justification === "string"
+          ? entry.justification.trim()
+          : shared;
+      return [{ rule: entry.rule, justification }];
+    }
+    return [];
+  });
+}
+
+/**
+ * Find an inline suppression for a rule on any of the given nodes (closest first).
+ * Entries without a justification are ignored with a warning.
+ */
+function getInlineSuppression(nodes, ruleId, logger = consoleLogger) {
+  for (const node of nodes) {
+    const entry = readIgnoreEntries(node).find((e) => e.rule === ruleId);
+    if (!entry) continue;
+
+    if (!entry.justification) {
+      if (!warnedNodes.has(node)) {
+        warnedNodes.add(node);
+        logger.warn(
+          `⚠️  ${IGNORE_KEY} for '${ruleId}' has no justification — suppression not applied`
+        );
+      }
+      continue;
+    }
+
+    return { kind: "inline", justification: entry.justification };
+  }
+  return null;
+}
+
+/**
+ * Split schema fields into active ones and groups suppressed on the field itself
+ * Returns `{ active: [field], suppressed: [{ fields, suppression }] }`.
+ */
+function partitionSuppressedFields(fields, ruleId, logger = consoleLogger) {
+  const active = [];
+  const groups = new Map(); // justification → group
+
+  for (const field of fields) {
+    // Parameters can carry the extension on the parameter or its schema
+    const suppression = getInlineSuppression(
+      [field.schema, field.param].filter(Boolean),
+      ruleId,
+      logger
+    );
+    if (!suppression) {
+      active.push(field);
+      continue;
+    }
+    if (!groups.has(suppression.justification)) {
+      groups.set(suppression.justification, { fields: [], suppression });
+    }
+    groups.get(suppression.justification).fields.push(field);
+  }
+
+  return { active, suppressed: [...groups.values()] };
+}
+
+export { getInlineSuppression, partitionSuppressedFields };
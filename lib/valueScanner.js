@@ -0,0 +1,229 @@
+// lib/valueScanner.js
+
+// Value-based detection: finds secrets and personal data by what a value looks like, not its key.
+// Matched values are only ever kept masked.
+
+// Luhn checksum for card numbers
+function isLuhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// ISO 13616 mod-97 check for IBANs
+function isValidIban(value) {
+  const iban = value.replace(/\s+/g, "").toUpperCase();
+  if (iban.length < 15 || iban.length > 34) return false;
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const code = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+    for (const digit of code) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+// Documentation domains (RFC 2606) are placeholders, not personal data
+function isPlaceholderEmail(value) {
+  return /@(?:[\w-]+\.)*(?:example\.(?:com|org|net)|test|invalid|localhost)$/i.test(
+    value
+  );
+}
+
+/**
+ * Detectors: `kind` is "secret" or "pii"; `category` maps to SENSITIVE_FIELDS for regulations
+ */
+const DETECTORS = [
+  {
+    id: "aws-access-key",
+    name: "AWS access key ID",
+    kind: "secret",
+    category: "cloudSecrets",
+    severity: "critical",
+    pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+  },
+  {
+    id: "gcp-api-key",
+    name: "Google Cloud API key",
+    kind: "secret",
+    category: "cloudSecrets",
+    severity: "critical",
+    pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g,
+  },
+  {
+    id: "github-token",
+    name: "GitHub token",
+    kind: "secret",
+    category: "cloudSecrets",
+    severity: "critical",
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g,
+  },
+  {
+    id: "stripe-key",
+    name: "Stripe secret key",
+    kind: "secret",
+    category: "credentials",
+    severity: "critical",
+    pattern: /\b(?:sk|rk)_(?:live|test)_[A-Za-z0-9]{16,}\b/g,
+  },
+  {
+    id: "openai-key",
+    name: "OpenAI API key",
+    kind: "secret",
+    category: "aiIntegrations",
+    severity: "critical",
+    pattern: /\bsk-(?:proj-|svcacct-|admin-)?[A-Za-z0-9_-]{20,}\b/g,
+  },
+  {
+    id: "private-key",
+    name: "PEM private key",
+    kind: "secret",
+    category: "encryptionKeys",
+    severity: "critical",
+    pattern: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY-----/g,
+  },
+  {
+    id: "jwt",
+    name: "JSON Web Token",
+    kind: "secret",
+    category: "credentials",
+    severity: "high",
+    pattern: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]*/g,
+  },
+  {
+    id: "credit-card",
+    name: "Credit card number",
+    kind: "pii",
+    category: "financial",
+    severity: "high",
+    pattern: /\b(?:\d[ -]?){12,18}\d\b/g,
+    validate: (match) => {
+      const digits = match.replace(/\D/g, "");
+      return (
+        digits.length >= 13 &&
+        digits.length <= 19 &&
+        /^(?:4|5[1-5]|2[2-7]|3[47]|6(?:011|5))/.test(digits) &&
+        isLuhnValid(digits)
+      );
+    },
+  },
+  {
+    id: "iban",
+    name: "IBAN",
+    kind: "pii",
+    category: "financial",
+    severity: "high",
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/g,
+    validate: isValidIban,
+  },
+  {
+    id: "ssn",
+    name: "US Social Security number",
+    kind: "pii",
+    category: "pii",
+    severity: "high",
+    pattern: /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/g,
+  },
+  {
+    id: "email",
+    name: "Email address",
+    kind: "pii",
+    category: "personalInfo",
+    severity: "medium",
+    pattern:
+      /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g,
+    validate: (match) => !isPlaceholderEmail(match),
+  },
+  {
+    id: "phone",
+    name: "Phone number",
+    kind: "pii",
+    category: "personalInfo",
+    severity: "low",
+    pattern:
+      /(?<![\w+])(?:\+\d{1,3}[ .-]?)?\(?\d{3}\)?[ .-]\d{3}[ .-]\d{4}\b|(?<![\w+])\+\d{10,14}\b/g,
+    // 555-01xx numbers are reserved for fiction
+    validate: (match) => !/555[ .-]?01\d\d$/.test(match),
+  },
+];
+
+/**
+ * Mask a matched value, keeping just enough to recognize it: "AKIA************WXYZ"
+ */
+function maskValue(value) {
+  if (value.startsWith("-----BEGIN")) return value; // PEM header only, the key body is never matched
+  if (value.length <= 8) return value[0] + "*".repeat(value.length - 1);
+  const visible = value.length >= 16 ? 4 : 2;
+  return (
+    value.slice(0, visible) +
+    "*".repeat(Math.min(value.length - visible * 2, 12)) +
+    value.slice(-visible)
+  );
+}
+
+/**
+ * Run every detector over a string. Returns `[{ detector, masked }]` (one per distinct match).
+ */
+function scanValue(value) {
+  if (typeof value !== "string" || value.length < 6) return [];
+
+  const findings = [];
+  const seen = new Set();
+  for (const detector of DETECTORS) {
+    for (const match of value.matchAll(detector.pattern)) {
+      const text = match[0];
+      if (detector.validate && !detector.validate(text)) continue;
+      const key = `${detector.id}:${text}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      findings.push({ detector, masked: maskValue(text) });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Scan every string in a JSON value. Returns `[{ path, detector, masked }]`
+ * with clean field paths (`data[].note`), the same shape the schema walker uses.
+ */
+function scanValues(value, prefix = "") {
+  // Card numbers and phone numbers are often sent as JSON numbers
+  if (typeof value === "string" || typeof value === "number") {
+    return scanValue(String(value)).map((finding) => ({
+      path: prefix,
+      ...finding,
+    }));
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap((item) => scanValues(item, `${prefix}[]`));
+  }
+  if (value && typeof value === "object") {
+    return Object.entries(value).flatMap(([key, child]) =>
+      scanValues(child, prefix ? `${prefix}.${key}` : key)
+    );
+  }
+  return [];
+}
+
+/**
+ * Scan a raw body: JSON bodies are walked field by field, anything else is scanned as text
+ */
+function scanBody(text) {
+  if (typeof text !== "string" || !text) return [];
+  try {
+    return scanValues(JSON.parse(text));
+  } catch {
+    return scanValue(text).map((finding) => ({ path: "", ...finding }));
+  }
+}
+
+export { DETECTORS, scanValue, scanValues, scanBody, maskValue, isLuhnValid };
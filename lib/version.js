@@ -0,0 +1,13 @@
+// lib/version.js
+import fs from "fs";
+
+// Read once from package.json so reports and the User-Agent never drift from the published version
+const pkg = JSON.parse(
+  fs.readFileSync(new URL("../package.json", import.meta.url), "utf8")
+);
+
+const TOOL_NAME = "APIShield";
+const TOOL_VERSION = pkg.version;
+const TOOL_HOMEPAGE = pkg.homepage;
+
+export { TOOL_NAME, TOOL_VERSION, TOOL_HOMEPAGE };
@@ -0,0 +1,125 @@
+// test/bola.test.js
+
+// BOLA replay against a stub server where some objects leak and some only look like they do
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { verify } from "../lib/api.js";
+import { collectIds } from "../lib/bola.js";
+
+const USERS = { "Bearer alice": "a", "Bearer bob": "b" };
+
+const get = (parameter) => ({
+  get: {
+    parameters: parameter
+      ? [
+          {
+            name: parameter,
+            in: "path",
+            required: true,
+            schema: { type: "string" },
+          },
+        ]
+      : [],
+    responses: { 200: { description: "ok" } },
+  },
+});
+
+const spec = {
+  openapi: "3.0.3",
+  info: { title: "Stub", version: "1.0.0" },
+  components: {
+    securitySchemes: { bearerAuth: { type: "http", scheme: "bearer" } },
+  },
+  security: [{ bearerAuth: [] }],
+  paths: {
+    "/orders": get(),
+    "/orders/{orderId}": get("orderId"),
+    "/invoices": get(),
+    "/invoices/{invoiceId}": get("invoiceId"),
+    "/catalog": get(),
+    "/catalog/{itemId}": get("itemId"),
+    "/posts": get(),
+    "/posts/{postId}": get("postId"),
+  },
+};
+
+const config = { verify: { userA: "alice", userB: "bob" } };
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const user = USERS[req.headers.authorization || ""];
+    const send = (status, body) => {
+      res.writeHead(status, { "content-type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+    const [, collection, id] = req.url.split("/");
+    if (collection === "posts") {
+      // Public: served to anyone
+      return send(200, id ? { id, title: "hello" } : [{ id: `p-${user}` }]);
+    }
+    if (!user) return send(401, {});
+
+    switch (collection) {
+      case "orders": // 🔓 Any order to any user
+        return send(200, id ? { id, total: 5 } : [{ id: `o-${user}` }]);
+      case "invoices": // Always the caller's own invoice, which mentions the previous one
+        return send(
+          200,
+          id
+            ? { id: `i-${user}`, previousInvoiceId: "i-a" }
+            : [{ id: `i-${user}` }]
+        );
+      case "catalog": // Shared by every user
+        return send(200, id ? { id, name: "widget" } : [{ id: "c-1" }]);
+      default:
+        return send(404, {});
+    }
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+test("reports A's object returned to B, and only that", async () => {
+  const { issues, objectChecks } = await verify(spec, { baseUrl, config });
+  const bola = issues.filter((issue) => issue.ruleId === "bola");
+
+  assert.deepEqual(
+    bola.map((issue) => issue.path),
+    ["/orders/{orderId}"]
+  );
+  // Under another key, A's ID is a reference, not the requested object
+  assert.ok(
+    objectChecks.some((check) => check.path === "/invoices/{invoiceId}")
+  );
+  // Objects B lists itself are never replayed
+  assert.ok(!objectChecks.some((check) => check.path === "/catalog/{itemId}"));
+});
+
+test("objects served without credentials are not reported", async () => {
+  const { issues, objectChecks } = await verify(spec, { baseUrl, config });
+  const post = objectChecks.find((check) => check.path === "/posts/{postId}");
+
+  assert.equal(post.statusB, 200);
+  assert.ok(
+    !issues.some(
+      (issue) => issue.ruleId === "bola" && issue.path === "/posts/{postId}"
+    )
+  );
+});
+
+test("IDs are collected from identifier keys only", () => {
+  assert.deepEqual(
+    collectIds({ data: [{ id: 7, name: "x", owner: { user_id: "u-1" } }] }),
+    [
+      { key: "id", value: "7" },
+      { key: "user_id", value: "u-1" },
+    ]
+  );
+  assert.deepEqual(collectIds({ id: "" }), []);
+});
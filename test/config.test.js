@@ -0,0 +1,46 @@
+// test/config.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveConfig, redactConfig } from "../lib/config.js";
+import { scan, toJSONReport } from "../lib/api.js";
+
+const config = {
+  probe: {
+    headers: { Authorization: "Bearer probe-secret" },
+    cookies: { session: "cookie-secret" },
+  },
+  verify: {
+    lowPrivilegeToken: "low-secret",
+    userA: "a-secret",
+    userB: { token: "b-secret", headers: { Cookie: "sid=b-secret" } },
+    privilegedPaths: ["/admin/*"],
+  },
+};
+
+test("credential values are redacted, names and other settings kept", () => {
+  const redacted = redactConfig(resolveConfig(config));
+
+  assert.deepEqual(redacted.probe.headers, { Authorization: "[redacted]" });
+  assert.deepEqual(redacted.probe.cookies, { session: "[redacted]" });
+  assert.equal(redacted.probe.timeoutMs, 5000);
+  assert.equal(redacted.verify.lowPrivilegeToken, "[redacted]");
+  assert.equal(redacted.verify.userA, "[redacted]");
+  assert.deepEqual(redacted.verify.userB, {
+    token: "[redacted]",
+    headers: { Cookie: "[redacted]" },
+  });
+  assert.deepEqual(redacted.verify.privilegedPaths, ["/admin/*"]);
+  assert.equal(redactConfig(resolveConfig()).verify.userA, null);
+});
+
+test("scan results and JSON reports carry no credentials", async () => {
+  const result = await scan(
+    { openapi: "3.0.3", info: { title: "t", version: "1" }, paths: {} },
+    { config }
+  );
+
+  const serialized = JSON.stringify(toJSONReport(result));
+  assert.ok(!/secret/.test(JSON.stringify(result.config)));
+  assert.ok(!/secret/.test(serialized));
+});
@@ -0,0 +1,104 @@
+// test/dereference.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  dereferenceSpec,
+  resolvePointer,
+  getSourceLocation,
+  toPointer,
+} from "../lib/dereference.js";
+import { silentLogger } from "../lib/logger.js";
+
+const deref = (spec) => dereferenceSpec(spec, { logger: silentLogger });
+
+test("self-referencing schemas end in a circular marker", async () => {
+  const result = await deref({
+    components: {
+      schemas: {
+        Node: {
+          type: "object",
+          properties: {
+            name: { type: "string" },
+            child: { $ref: "#/components/schemas/Node" },
+          },
+        },
+      },
+    },
+  });
+
+  const child = result.components.schemas.Node.properties.child;
+  assert.equal(child.properties.name.type, "string");
+  assert.deepEqual(child.properties.child, {
+    $ref: "#/components/schemas/Node",
+    _circular: true,
+  });
+});
+
+test("mutually recursive schemas terminate", async () => {
+  const result = await deref({
+    components: {
+      schemas: {
+        A: { properties: { b: { $ref: "#/components/schemas/B" } } },
+        B: { properties: { a: { $ref: "#/components/schemas/A" } } },
+      },
+    },
+  });
+
+  // A → B → A is expanded once; the next B is where the cycle closes
+  const { b } = result.components.schemas.A.properties;
+  assert.deepEqual(b.properties.a.properties.b, {
+    $ref: "#/components/schemas/B",
+    _circular: true,
+  });
+});
+
+test("keywords next to $ref override the target", async () => {
+  const result = await deref({
+    components: {
+      schemas: {
+        Secret: { type: "string", description: "original" },
+        User: {
+          properties: {
+            token: { $ref: "#/components/schemas/Secret", readOnly: true },
+          },
+        },
+      },
+    },
+  });
+
+  assert.deepEqual(result.components.schemas.User.properties.token, {
+    type: "string",
+    description: "original",
+    readOnly: true,
+  });
+});
+
+test("unresolvable refs are left in place", async () => {
+  const result = await deref({ schema: { $ref: "#/missing" } });
+  assert.deepEqual(result.schema, { $ref: "#/missing" });
+});
+
+test("resolved nodes remember where they were defined", async () => {
+  const result = await deref({
+    paths: {
+      "/users": {
+        get: { responses: { 200: { $ref: "#/components/responses/Ok" } } },
+      },
+    },
+    components: { responses: { Ok: { description: "ok" } } },
+  });
+
+  assert.deepEqual(
+    getSourceLocation(result.paths["/users"].get.responses[200]),
+    { file: null, pointer: "/components/responses/Ok" }
+  );
+});
+
+test("JSON pointers are escaped and unescaped per RFC 6901", () => {
+  assert.equal(toPointer(["paths", "/a~b", "get"]), "/paths/~1a~0b/get");
+  assert.equal(
+    resolvePointer({ paths: { "/a~b": { get: 1 } } }, "/paths/~1a~0b/get"),
+    1
+  );
+});
@@ -0,0 +1,109 @@
+// test/graphql.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isGraphQLSDL, parseGraphQLSDL } from "../lib/parsers/graphql.js";
+
+test("SDL is told apart from YAML and other text", () => {
+  assert.equal(isGraphQLSDL("type Query { me: User }"), true);
+  assert.equal(
+    isGraphQLSDL('"""Docs"""\n# comment\nschema { query: Q }'),
+    true
+  );
+  assert.equal(isGraphQLSDL('extend type User @key(fields: "id")'), true);
+  assert.equal(isGraphQLSDL("type: object\nproperties: {}"), false);
+  assert.equal(isGraphQLSDL("query { me { id } }"), false);
+});
+
+test("comments, commas, descriptions and block strings are skipped", () => {
+  const schema = parseGraphQLSDL(`
+    # The root
+    """
+    Multi-line "description" with { braces }
+    """
+    type Query {
+      "Current user"
+      me: User, # trailing comment
+      users(first: Int = 10, filter: [String!] = ["a", "b"]): [User!]!
+    }
+    type User { id: ID! email: String }
+  `);
+
+  assert.equal(schema.queryType, "Query");
+  const [me, users] = schema.types.Query.fields;
+  assert.equal(me.name, "me");
+  assert.deepEqual(
+    users.args.map((arg) => arg.name),
+    ["first", "filter"]
+  );
+  assert.deepEqual(users.type, {
+    kind: "NON_NULL",
+    ofType: {
+      kind: "LIST",
+      ofType: { kind: "NON_NULL", ofType: { kind: "NAMED", name: "User" } },
+    },
+  });
+});
+
+test("applied directives are kept by name", () => {
+  const schema = parseGraphQLSDL(`
+    directive @auth(requires: Role = ADMIN) repeatable on OBJECT | FIELD_DEFINITION
+    type Mutation @auth {
+      deleteUser(id: ID!): Boolean @auth(requires: ADMIN) @deprecated(reason: "use removeUser")
+    }
+  `);
+
+  assert.deepEqual(schema.types.Mutation.directives, ["auth"]);
+  assert.deepEqual(schema.types.Mutation.fields[0].directives, [
+    "auth",
+    "deprecated",
+  ]);
+  assert.equal(schema.hasDirectives, true);
+});
+
+test("schema blocks, unions, interfaces, enums, inputs and extensions", () => {
+  const schema = parseGraphQLSDL(`
+    schema { query: Root mutation: Changes }
+    type Root { node: Node }
+    type Changes { ok: Boolean }
+    interface Node { id: ID! }
+    type Post implements Node & Timestamped { id: ID! }
+    union Result = | Post | Comment
+    enum Role { ADMIN USER @deprecated }
+    input NewPost { title: String! body: String = "" }
+    extend type Root { search: Result }
+  `);
+
+  assert.equal(schema.queryType, "Root");
+  assert.equal(schema.mutationType, "Changes");
+  assert.deepEqual(schema.types.Post.interfaces, ["Node", "Timestamped"]);
+  assert.deepEqual(schema.types.Result.possibleTypes, ["Post", "Comment"]);
+  assert.equal(schema.types.Role.kind, "ENUM");
+  assert.deepEqual(
+    schema.types.NewPost.fields.map((field) => field.name),
+    ["title", "body"]
+  );
+  assert.deepEqual(
+    schema.types.Root.fields.map((field) => field.name),
+    ["node", "search"]
+  );
+});
+
+test("errors name the line, counting lines inside block strings", () => {
+  assert.throws(
+    () => parseGraphQLSDL('"""\none\ntwo\n"""\ntype Query {\n  me: %\n}'),
+    /Unexpected character '%' \(line 6\)/
+  );
+  assert.throws(
+    () => parseGraphQLSDL('type Query { me: "unterminated\n}'),
+    /Unterminated string \(line 1\)/
+  );
+  assert.throws(
+    () => parseGraphQLSDL("query { me { id } }"),
+    /operations and fragments are not schemas/
+  );
+  assert.throws(
+    () => parseGraphQLSDL("type Query {"),
+    /reached the end of the schema/
+  );
+});
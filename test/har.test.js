@@ -0,0 +1,26 @@
+// test/har.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { templatePath } from "../lib/parsers/har.js";
+
+test("numeric IDs, UUIDs and hashes become numbered templates", () => {
+  assert.equal(templatePath("/users/42"), "/users/{id}");
+  assert.equal(
+    templatePath("/users/42/orders/3f2b8c1e-9a4d-4e2f-8b1a-0c9d8e7f6a5b"),
+    "/users/{id}/orders/{id2}"
+  );
+  assert.equal(templatePath("/files/507f1f77bcf86cd799439011"), "/files/{id}");
+  assert.equal(templatePath("/tokens/a1b2c3d4e5f6g7h8i9j0k1"), "/tokens/{id}");
+});
+
+test("words, short slugs and the root are kept", () => {
+  assert.equal(templatePath("/"), "/");
+  assert.equal(templatePath("/api/v2/users/me"), "/api/v2/users/me");
+  assert.equal(templatePath("/posts/hello-world"), "/posts/hello-world");
+  assert.equal(templatePath("/users/"), "/users/");
+});
+
+test("encoded segments are decoded before matching", () => {
+  assert.equal(templatePath("/tags/%31%32%33"), "/tags/{id}");
+});
@@ -0,0 +1,109 @@
+// test/jwt.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import {
+  decodeJwt,
+  getBearerJwt,
+  findJwts,
+  inspectJwt,
+  inspectJwtUsage,
+} from "../lib/jwt.js";
+
+const NOW = Math.floor(Date.now() / 1000);
+const DAY = 24 * 60 * 60;
+
+const encode = (value) =>
+  Buffer.from(JSON.stringify(value)).toString("base64url");
+
+function signJwt(payload, key = "a-long-random-signing-key-nobody-guesses") {
+  const input = `${encode({ alg: "HS256", typ: "JWT" })}.${encode(payload)}`;
+  const signature = crypto
+    .createHmac("sha256", key)
+    .update(input)
+    .digest("base64url");
+  return `${input}.${signature}`;
+}
+
+const ruleIds = (findings) => findings.map((finding) => finding.ruleId);
+const wellFormed = { iss: "auth", aud: "api", iat: NOW, exp: NOW + 600 };
+
+test("decoding accepts JWTs and rejects anything else", () => {
+  const token = signJwt(wellFormed);
+  assert.equal(decodeJwt(token).payload.iss, "auth");
+  assert.equal(decodeJwt("not.a.jwt"), null);
+  assert.equal(decodeJwt("abc"), null);
+  assert.equal(getBearerJwt(`Bearer ${token}`), token);
+  assert.equal(getBearerJwt("Basic dXNlcjpwYXNz"), null);
+  assert.deepEqual(findJwts({ data: { token } }), [token]);
+});
+
+test("a short-lived token with issuer and audience has no findings", () => {
+  assert.deepEqual(inspectJwt(decodeJwt(signJwt(wellFormed))), []);
+});
+
+test("unsigned and guessable-key tokens are reported", () => {
+  const unsigned = `${encode({ alg: "none" })}.${encode(wellFormed)}.`;
+  assert.deepEqual(ruleIds(inspectJwt(decodeJwt(unsigned))), ["jwt-alg-none"]);
+
+  const weak = inspectJwt(decodeJwt(signJwt(wellFormed, "secret")));
+  assert.deepEqual(ruleIds(weak), ["jwt-weak-secret"]);
+  assert.match(weak[0].detail, /'secret'/);
+});
+
+test("expiry is checked from iat, else capture time, else now", () => {
+  const { iat, ...noIat } = wellFormed;
+  const lifetime = (payload, options) =>
+    inspectJwt(decodeJwt(signJwt(payload)), options).filter(
+      (finding) => finding.ruleId === "jwt-expiry"
+    );
+
+  assert.match(
+    lifetime({ ...wellFormed, exp: iat + 30 * DAY })[0].detail,
+    /30 days after issue/
+  );
+  assert.match(
+    lifetime(
+      { ...noIat, exp: NOW + 30 * DAY },
+      { capturedAt: (NOW - DAY) * 1000 }
+    )[0].detail,
+    /31 days after capture/
+  );
+  assert.match(
+    lifetime({ ...noIat, exp: NOW + 30 * DAY })[0].detail,
+    /30 days from now/
+  );
+  assert.match(
+    lifetime({ ...noIat, exp: undefined })[0].detail,
+    /has no expiry/
+  );
+  assert.deepEqual(lifetime({ ...noIat, exp: NOW + 600 }), []);
+});
+
+test("personal data, roles and missing claims are reported", () => {
+  const findings = inspectJwt(
+    decodeJwt(
+      signJwt({ exp: NOW + 600, email: "jane@acme.io", roles: ["admin"] })
+    )
+  );
+  assert.deepEqual(ruleIds(findings), [
+    "jwt-sensitive-claims",
+    "jwt-missing-claims",
+  ]);
+  assert.equal(findings[0].severity, "medium");
+  assert.match(findings[1].detail, /no iss or aud claim/);
+});
+
+test("usage: reuse across hours and acceptance after expiry", () => {
+  const decoded = decodeJwt(signJwt({ ...wellFormed, exp: NOW }));
+  const later = (NOW + 6 * 60 * 60) * 1000;
+  const findings = inspectJwtUsage(decoded, [
+    { time: (NOW - 60) * 1000, status: 200 },
+    { time: later, status: 200 },
+    { time: later, status: 401 },
+  ]);
+  assert.deepEqual(ruleIds(findings), ["jwt-reuse", "jwt-expired-accepted"]);
+  assert.match(findings[1].detail, /accepted 1 time/);
+  assert.deepEqual(inspectJwtUsage(decoded, [{ status: 200 }]), []);
+});
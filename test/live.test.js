@@ -0,0 +1,88 @@
+// test/live.test.js
+
+// Live scans against two stub servers: the API, and another origin it redirects to
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { scan } from "../lib/api.js";
+
+const spec = {
+  openapi: "3.0.3",
+  info: { title: "Stub", version: "1.0.0" },
+  paths: { "/ping": { get: { responses: { 200: { description: "ok" } } } } },
+};
+
+const received = [];
+let api;
+let other;
+let apiUrl;
+let otherUrl;
+
+function listen(handler) {
+  const server = http.createServer((req, res) => {
+    received.push({
+      url: `http://${req.headers.host}${req.url}`,
+      authorization: req.headers.authorization,
+    });
+    handler(req, res);
+  });
+  return new Promise((resolve) =>
+    server.listen(0, "127.0.0.1", () => resolve(server))
+  );
+}
+
+before(async () => {
+  other = await listen((req, res) => {
+    res.writeHead(200, { "content-type": "application/json" });
+    res.end(JSON.stringify(spec));
+  });
+  otherUrl = `http://127.0.0.1:${other.address().port}`;
+
+  api = await listen((req, res) => {
+    const location = {
+      "/away": `${otherUrl}/openapi.json`,
+      "/moved": "/docs/openapi.json",
+    }[req.url];
+    if (location) {
+      res.writeHead(302, { location });
+      return res.end();
+    }
+    res.writeHead(200, { "content-type": "application/json" });
+    res.end(JSON.stringify(spec));
+  });
+  apiUrl = `http://127.0.0.1:${api.address().port}`;
+});
+
+after(() =>
+  Promise.all(
+    [api, other].map(
+      (server) => new Promise((resolve) => server.close(resolve))
+    )
+  )
+);
+
+const options = {
+  config: {},
+  probe: { headers: { Authorization: "Bearer probe-secret" } },
+};
+
+test("credentials are not sent after a redirect to another origin", async () => {
+  received.length = 0;
+  const result = await scan(`${apiUrl}/away`, options);
+
+  assert.equal(result.format, "openapi-3.0.3");
+  const first = received.find((request) => request.url === `${apiUrl}/away`);
+  const hop = received.find((request) => request.url.startsWith(otherUrl));
+  assert.equal(first.authorization, "Bearer probe-secret");
+  assert.equal(hop.authorization, undefined);
+});
+
+test("credentials are kept on redirects within the origin", async () => {
+  received.length = 0;
+  await scan(`${apiUrl}/moved`, options);
+
+  const hop = received.find(
+    (request) => request.url === `${apiUrl}/docs/openapi.json`
+  );
+  assert.equal(hop.authorization, "Bearer probe-secret");
+});
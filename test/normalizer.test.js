@@ -0,0 +1,47 @@
+// test/normalizer.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { classifyField, tokenizeFieldName } from "../lib/normalizer.js";
+
+test("field names split on case, separators and digits", () => {
+  assert.deepEqual(tokenizeFieldName("userSSN"), ["user", "ssn"]);
+  assert.deepEqual(tokenizeFieldName("api-key"), ["api", "key"]);
+  assert.deepEqual(tokenizeFieldName("address2"), ["address", "2"]);
+  assert.deepEqual(tokenizeFieldName("HTTPHeader"), ["http", "header"]);
+  assert.deepEqual(tokenizeFieldName("userpassword"), ["user", "password"]);
+});
+
+test("whole tokens and joined forms match", () => {
+  for (const name of [
+    "password",
+    "user_password",
+    "userpassword",
+    "apiKey",
+    "apikey",
+    "accesstoken",
+  ]) {
+    const result = classifyField(name);
+    assert.ok(result, name);
+    assert.equal(result.secret, true, name);
+    assert.equal(result.confidence, "high", name);
+  }
+});
+
+test("sensitive words inside other words do not match", () => {
+  for (const name of ["secretary", "tokenizer", "passwordless", "keyboard"]) {
+    assert.equal(classifyField(name)?.secret ?? false, false, name);
+  }
+});
+
+test("fields describing a value rather than holding it do not match", () => {
+  for (const name of ["passwordPolicy", "password_length", "tokenType"]) {
+    assert.equal(classifyField(name), null, name);
+  }
+});
+
+test("custom fields are high-confidence secrets", () => {
+  const result = classifyField("internalRef", ["internalRef"]);
+  assert.equal(result.confidence, "high");
+  assert.equal(result.secret, true);
+});
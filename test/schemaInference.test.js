@@ -0,0 +1,61 @@
+// test/schemaInference.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  inferSchema,
+  mergeSchemas,
+  isJsonMimeType,
+} from "../lib/schemaInference.js";
+
+test("JSON media types include parameters and +json suffixes", () => {
+  assert.equal(isJsonMimeType("application/json; charset=utf-8"), true);
+  assert.equal(isJsonMimeType("application/problem+json"), true);
+  assert.equal(isJsonMimeType("Application/JSON"), true);
+  assert.equal(isJsonMimeType("text/html"), false);
+  assert.equal(isJsonMimeType(), false);
+});
+
+test("array items are merged across every element", () => {
+  assert.deepEqual(inferSchema([{ id: 1 }, { name: "a" }]), {
+    type: "array",
+    items: {
+      type: "object",
+      properties: { id: { type: "number" }, name: { type: "string" } },
+    },
+  });
+  assert.deepEqual(inferSchema([]), { type: "array", items: {} });
+});
+
+test("nulls make the other type nullable", () => {
+  assert.deepEqual(mergeSchemas({ type: "null" }, { type: "string" }), {
+    type: "string",
+    nullable: true,
+  });
+  assert.deepEqual(
+    mergeSchemas(inferSchema({ a: "x" }), inferSchema({ a: null })),
+    {
+      type: "object",
+      properties: { a: { type: "string", nullable: true } },
+    }
+  );
+});
+
+test("different types become anyOf, and later samples merge into it", () => {
+  const merged = mergeSchemas({ type: "string" }, { type: "number" });
+  assert.deepEqual(merged, {
+    anyOf: [{ type: "string" }, { type: "number" }],
+  });
+  assert.deepEqual(
+    mergeSchemas(merged, { type: "boolean" }).anyOf.map((v) => v.type),
+    ["string", "number", "boolean"]
+  );
+  assert.equal(mergeSchemas(merged, { type: "number" }).anyOf.length, 2);
+});
+
+test("missing schemas merge to the other side", () => {
+  assert.deepEqual(mergeSchemas(null, { type: "string" }), { type: "string" });
+  assert.deepEqual(mergeSchemas({ type: "string" }, undefined), {
+    type: "string",
+  });
+});
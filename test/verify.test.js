@@ -0,0 +1,123 @@
+// test/verify.test.js
+
+// `verify` against a stub server with deliberately broken auth
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { verify } from "../lib/api.js";
+
+const VALID_TOKEN = "Bearer good-token";
+const LOW_TOKEN = "Bearer low-token";
+
+const spec = {
+  openapi: "3.0.3",
+  info: { title: "Stub", version: "1.0.0" },
+  components: {
+    securitySchemes: { bearerAuth: { type: "http", scheme: "bearer" } },
+  },
+  security: [{ bearerAuth: [] }],
+  paths: {
+    "/orders": { get: { responses: { 200: { description: "ok" } } } },
+    "/profile": { get: { responses: { 200: { description: "ok" } } } },
+    "/admin/users": { get: { responses: { 200: { description: "ok" } } } },
+    "/account": { get: { responses: { 200: { description: "ok" } } } },
+    "/items/{id}": {
+      delete: {
+        parameters: [
+          {
+            name: "id",
+            in: "path",
+            required: true,
+            schema: { type: "string" },
+          },
+        ],
+        responses: { 204: { description: "deleted" } },
+      },
+    },
+  },
+};
+
+const config = {
+  verify: { lowPrivilegeToken: "low-token", privilegedPaths: ["/admin/*"] },
+};
+
+let server;
+let baseUrl;
+const received = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const auth = req.headers.authorization || "";
+    received.push(`${req.method} ${req.url}`);
+    const send = (status) => {
+      res.writeHead(status, { "content-type": "application/json" });
+      res.end("{}");
+    };
+    switch (req.url) {
+      case "/orders": // 🔓 No auth at all
+        return send(200);
+      case "/profile": // Any bearer token, signature never checked
+        return send(auth.startsWith("Bearer ") ? 200 : 401);
+      case "/admin/users": // Valid tokens, but no role check
+        return send(auth === VALID_TOKEN || auth === LOW_TOKEN ? 200 : 401);
+      case "/account": // Enforced correctly
+        return send(auth === VALID_TOKEN ? 200 : 401);
+      case "/slow": // Never answers
+        return;
+      default:
+        return send(204);
+    }
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  return new Promise((resolve) => server.close(resolve));
+});
+
+function findIssue(issues, ruleId, path) {
+  return issues.find((issue) => issue.ruleId === ruleId && issue.path === path);
+}
+
+test("reports each kind of auth the server fails to enforce", async () => {
+  const { issues } = await verify(spec, { baseUrl, config });
+
+  assert.ok(findIssue(issues, "unauthenticated-access", "/orders"));
+  assert.ok(findIssue(issues, "invalid-credentials", "/profile"));
+  assert.ok(findIssue(issues, "privilege-not-enforced", "/admin/users"));
+  assert.equal(issues.filter((issue) => issue.path === "/account").length, 0);
+});
+
+test("only sends mutating methods with allowMutating", async () => {
+  received.length = 0;
+  const readOnly = await verify(spec, { baseUrl, config });
+  assert.ok(!received.some((request) => request.startsWith("DELETE ")));
+  assert.ok(!readOnly.operations.some((op) => op.method === "DELETE"));
+
+  const mutating = await verify(spec, { baseUrl, config, allowMutating: true });
+  assert.ok(received.some((request) => request.startsWith("DELETE ")));
+  assert.ok(
+    findIssue(mutating.issues, "unauthenticated-access", "/items/{id}")
+  );
+});
+
+test("records a timed-out request and keeps verifying", async () => {
+  const slowSpec = {
+    ...spec,
+    paths: {
+      "/slow": { get: { responses: { 200: { description: "ok" } } } },
+      "/orders": spec.paths["/orders"],
+    },
+  };
+  const { operations, issues } = await verify(slowSpec, {
+    baseUrl,
+    config: { ...config, probe: { timeoutMs: 200 } },
+  });
+
+  const slow = operations.find((op) => op.path === "/slow");
+  assert.equal(slow.attempts[0].status, null);
+  assert.match(slow.attempts[0].error, /timed out/);
+  assert.ok(findIssue(issues, "unauthenticated-access", "/orders"));
+});